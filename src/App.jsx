@@ -1,9 +1,84 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Separator } from '@/components/ui/separator'
 import { ThemeToggle } from '@/components/ThemeToggle'
-import { KonvaCanvas, exportCanvasToPNG } from '@/components/KonvaCanvas'
+import { KonvaCanvas } from '@/components/KonvaCanvas'
+import { ExportDialog } from '@/components/ExportDialog'
+import { DocsExportDialog } from '@/components/DocsExportDialog'
+import { MultiSelectionPanel, SelectionPanel } from '@/components/SelectionPanel'
+import { StepsPanel } from '@/components/StepsPanel'
+import { StylesPanel } from '@/components/StylesPanel'
+import { OutlinePanel } from '@/components/OutlinePanel'
+import { ImagePanel } from '@/components/ImagePanel'
+import { ArrangePanel } from '@/components/ArrangePanel'
+import { Filmstrip } from '@/components/Filmstrip'
+import { RecentSessions, RestoreSessionDialog } from '@/components/RecentSessions'
+import { useHistory } from '@/hooks/useHistory'
+import { useAutosave } from '@/hooks/useAutosave'
+import { readImageFile } from '@/lib/image'
+import { downloadBlob, fileTimestamp } from '@/lib/download'
+import {
+  DEFAULT_EXPORT_OPTIONS,
+  copyCanvasToClipboard,
+  exportCanvasToFile,
+  exportFormat,
+  renderCanvasToBlob,
+} from '@/lib/export'
+import { buildSvg, exportSVG } from '@/lib/svg'
+import { createZip } from '@/lib/zip'
+import { DEFAULT_SNIPPET_OPTIONS, buildSnippet } from '@/lib/snippet'
+import { DEFAULT_NUMBERING, markerNumbers, pageNumberings } from '@/lib/numbering'
+import { annotationName, formatPoint } from '@/lib/accessibility'
+import { DEFAULT_PRESETS } from '@/lib/annotationStyles'
+import { DEFAULT_LEGEND } from '@/lib/legend'
+import { DEFAULT_SPOTLIGHT } from '@/lib/spotlight'
+import {
+  aspectRatio,
+  clampCropRect,
+  fitAspect,
+  fullImageRect,
+  paddedRect,
+  reframeImage,
+  reframePage,
+  trimRect,
+} from '@/lib/crop'
+import { DEFAULT_SNAPPING } from '@/lib/snapping'
+import { PRESETS_FILE_EXTENSION, readPresetsFile, serializePresets } from '@/lib/presets'
+import { createSessionId, deleteSession, listSessions, loadSession } from '@/lib/sessions'
+import {
+  createPage,
+  insertPages,
+  movePage,
+  pageFilename,
+  pageNameFromFile,
+  updatePage,
+} from '@/lib/guide'
+import {
+  PROJECT_FILE_EXTENSION,
+  isProjectFile,
+  readProjectFile,
+  serializeProject,
+} from '@/lib/project'
+import {
+  createKeymap,
+  findShortcut,
+  formatShortcut,
+  isEditableTarget,
+  isShortcutBlocked,
+  nudgeDelta,
+} from '@/lib/keymap'
+import {
+  DUPLICATE_OFFSET,
+  groupAnnotations,
+  insertCopies,
+  moveAnnotation,
+  parseClipboard,
+  serializeClipboard,
+  ungroupAnnotations,
+  withGroups,
+} from '@/lib/annotations'
+import { isRedaction } from '@/lib/redaction'
 import { 
   Image as ImageIcon, 
   Download, 
@@ -13,20 +88,312 @@ import {
   Square,
   Circle,
   Hash,
+  ArrowUpRight,
+  EyeOff,
   Upload,
-  Info
+  Info,
+  Save,
+  FolderOpen,
+  Copy,
+  Check,
+  Undo2,
+  Redo2,
+  FileText,
+  ZoomIn
 } from 'lucide-react'
 
+// `sessionId` is the autosave slot (see @/lib/sessions). It is part of the
+// document so undoing past opening or starting a guide also goes back to
+// the earlier guide's slot, instead of saving it over the new one.
+const EMPTY_DOCUMENT = {
+  sessionId: null,
+  pages: [],
+  numbering: DEFAULT_NUMBERING,
+  presets: DEFAULT_PRESETS,
+  legend: DEFAULT_LEGEND,
+  spotlight: DEFAULT_SPOTLIGHT,
+}
+const NO_ANNOTATIONS = []
+
+// How long a guide export waits for a page image to be drawn
+const PAGE_RENDER_TIMEOUT_MS = 10000
+
+const tools = [
+  { id: 'select', icon: MousePointer2, label: 'Select', shortcut: 'V', description: 'Select and move annotations; Shift-click selects several' },
+  { id: 'marker', icon: Hash, label: 'Marker', shortcut: 'M', description: 'Add numbered markers, then type an optional label' },
+  { id: 'text', icon: Type, label: 'Text', shortcut: 'T', description: 'Click to add text; Shift+Enter adds a line' },
+  { id: 'rect', icon: Square, label: 'Rectangle', shortcut: 'R', description: 'Draw rectangles to highlight areas' },
+  { id: 'circle', icon: Circle, label: 'Circle', shortcut: 'C', description: 'Draw circles to highlight areas' },
+  { id: 'arrow', icon: ArrowUpRight, label: 'Arrow', shortcut: 'A', description: 'Draw arrows to point at things; drag the handles to adjust' },
+  { id: 'redact', icon: EyeOff, label: 'Redact', shortcut: 'X', description: 'Blur, pixelate or black out sensitive areas; exports never contain the pixels underneath' },
+  { id: 'magnifier', icon: ZoomIn, label: 'Magnifier', shortcut: 'L', description: 'Drag over a small detail to show it enlarged in a loupe; drag the lens to place it' },
+]
+
+const keymap = createKeymap(tools)
+
 function App() {
-  const [image, setImage] = useState(null)
+  const [initialDocument] = useState(() => ({ ...EMPTY_DOCUMENT, sessionId: createSessionId() }))
+  const history = useHistory(initialDocument)
+  const { sessionId, pages, numbering, presets, legend, spotlight } = history.present
+  const { commit, undo, redo, endCoalescing, canUndo, canRedo, undoLabel, redoLabel } = history
+  // The page being edited; falls back to the first page when an undo
+  // removes it
+  const [currentPageId, setCurrentPageId] = useState(null)
+  const pageIndex = Math.max(0, pages.findIndex((p) => p.id === currentPageId))
+  const page = pages[pageIndex]
+  const pageId = page?.id
+  const image = page?.image ?? null
+  const annotations = page?.annotations ?? NO_ANNOTATIONS
+  const numberings = pageNumberings(pages, numbering)
+  const pageNumbering = numberings[pageIndex] ?? numbering
+  const legendPosition = page?.legendPosition
+  const pageLegend = useMemo(
+    () => ({ placement: legend.placement, position: legendPosition }),
+    [legend.placement, legendPosition]
+  )
   const [tool, setTool] = useState('marker')
-  const [annotations, setAnnotations] = useState([])
+  // Most panels work on a single selection, `selectedId`; moving,
+  // deleting, copying, restyling and arranging work on all of
+  // `selectedIds`. Selecting a grouped annotation on the canvas selects its
+  // whole group; Alt-click or its outline row selects just that member.
+  const [selectedIds, setSelectedIds] = useState([])
+  const selectedId = selectedIds.length === 1 ? selectedIds[0] : null
+  const [snapping, setSnapping] = useState(DEFAULT_SNAPPING)
+  const [exportDialog, setExportDialog] = useState({ open: false, contentRect: null, outputSize: null })
+  const [exportOptions, setExportOptions] = useState(DEFAULT_EXPORT_OPTIONS)
+  const [imageCopied, setImageCopied] = useState(false)
+  const [docsDialogOpen, setDocsDialogOpen] = useState(false)
+  const [snippetOptions, setSnippetOptions] = useState(DEFAULT_SNIPPET_OPTIONS)
+  const [snippetCopied, setSnippetCopied] = useState(false)
+  // Read out by screen readers through the live region
+  const [announcement, setAnnouncement] = useState('')
+  const [isExportingPages, setIsExportingPages] = useState(false)
+  // Crop frame being adjusted: `{ pageId, src, rect, aspect }`. It only
+  // applies while that page still shows that image, so switching pages or
+  // undoing an image change drops it.
+  const [crop, setCrop] = useState(null)
+  const activeCrop = crop && crop.pageId === pageId && crop.src === image?.src ? crop : null
+  const [isReframing, setIsReframing] = useState(false)
+  const [recentSessions, setRecentSessions] = useState([])
+  const [restoreOffer, setRestoreOffer] = useState(null)
+  const restoreOfferedRef = useRef(false)
+  const autosaveError = useAutosave(sessionId, history.present)
   const canvasRef = useRef(null)
   const fileInputRef = useRef(null)
+  const projectInputRef = useRef(null)
+  // Last annotations copied in this tab, used when the system clipboard
+  // can't be read (e.g. the copy came from a different page load)
+  const annotationClipboardRef = useRef(null)
+  // Guide export: the page it is waiting for, and the last page drawn
+  const pageReadyRef = useRef(null)
+  const drawnPageRef = useRef(null)
+
+  // Every document edit goes through the history so it can be undone.
+  // `next` is the current page's new annotations array or a function of
+  // its current one.
+  const setAnnotations = useCallback((next, options) => {
+    commit((doc) => updatePage(doc, pageId, (p) => ({
+      ...p,
+      annotations: typeof next === 'function' ? next(p.annotations) : next,
+    })), options)
+  }, [commit, pageId])
+
+  // An annotation just added isn't in `annotations` yet, and has no group
+  const setSelectedId = useCallback((id) => {
+    const members = id ? withGroups(annotations, [id]) : []
+    setSelectedIds(id && members.length === 0 ? [id] : members)
+  }, [annotations])
+
+  // A single group member, e.g. to edit it in the Selection panel
+  const selectAlone = useCallback((id) => setSelectedIds([id]), [])
+
+  // Shift- or Ctrl/Cmd-click: adds an annotation (and its group) to the
+  // selection, or takes it out
+  const toggleSelected = useCallback((id) => {
+    const members = withGroups(annotations, [id])
+    setSelectedIds((current) => (current.includes(id)
+      ? current.filter((other) => !members.includes(other))
+      : [...current, ...members.filter((other) => !current.includes(other))]))
+  }, [annotations])
+
+  // Marquee selection on the canvas, replacing the selection or adding to it
+  const selectMany = useCallback((ids, additive) => {
+    const members = withGroups(annotations, ids)
+    setSelectedIds((current) => (additive
+      ? [...current, ...members.filter((id) => !current.includes(id))]
+      : members))
+    if (members.length > 0) setAnnouncement(`${members.length} selected`)
+  }, [annotations])
+
+  const selectPage = (id) => {
+    setCurrentPageId(id)
+    setSelectedId(null)
+  }
+
+  const setNumbering = (next) => {
+    commit((doc) => ({ ...doc, numbering: next }), { label: 'Change numbering', coalesce: 'numbering' })
+  }
+
+  const setLegend = (next) => {
+    commit((doc) => ({ ...doc, legend: next }), { label: 'Change step legend' })
+  }
+
+  // Dragging a slider makes one undo step
+  const setSpotlight = (next) => {
+    commit((doc) => ({ ...doc, spotlight: next }), { label: 'Change spotlight', coalesce: 'spotlight' })
+  }
+
+  // A floating legend keeps its own position on every page
+  const moveLegend = (position) => {
+    commit(
+      (doc) => updatePage(doc, pageId, (p) => ({ ...p, legendPosition: position })),
+      { label: 'Move step legend' }
+    )
+  }
+
+  // `next` is the new presets array or a function of the current one
+  const setPresets = (next, options) => {
+    commit((doc) => ({
+      ...doc,
+      presets: typeof next === 'function' ? next(doc.presets) : next,
+    }), options)
+  }
+
+  const handleImportPresets = async (file) => {
+    try {
+      setPresets(await readPresetsFile(file), { label: 'Import style presets' })
+    } catch (error) {
+      window.alert(`Could not import style presets: ${error.message}`)
+    }
+  }
 
-  // Clipboard paste support
+  const handleExportPresets = () => {
+    downloadBlob(
+      new Blob([serializePresets(presets)], { type: 'application/json' }),
+      `styles-${fileTimestamp()}${PRESETS_FILE_EXTENSION}`
+    )
+  }
+
+  // New screenshots become pages after the current one
+  const addImageFiles = useCallback(async (files) => {
+    try {
+      const added = []
+      for (const file of files) {
+        added.push(createPage(await readImageFile(file), pageNameFromFile(file.name)))
+      }
+      if (added.length === 0) return
+      commit(
+        (doc) => ({ ...doc, pages: insertPages(doc.pages, added, pageId) }),
+        { label: added.length > 1 ? 'Add pages' : 'Add page' }
+      )
+      setCurrentPageId(added[0].id)
+      setSelectedIds([])
+      setRestoreOffer(null)
+    } catch (error) {
+      window.alert(`Could not load image: ${error.message}`)
+    }
+  }, [commit, pageId])
+
+  // Opened guides autosave to their own session, unless they come from one
+  const openGuide = (project, label, id = createSessionId()) => {
+    commit(
+      {
+        sessionId: id,
+        pages: project.pages,
+        numbering: project.numbering,
+        presets: project.presets,
+        legend: project.legend,
+        spotlight: project.spotlight,
+      },
+      { label }
+    )
+    setRestoreOffer(null)
+    selectPage(project.pages[0].id)
+  }
+
+  const loadProjectFromFile = async (file) => {
+    try {
+      openGuide(await readProjectFile(file), 'Open project')
+    } catch (error) {
+      window.alert(`Could not open project: ${error.message}`)
+    }
+  }
+
+  const handleOpenSession = async (id) => {
+    try {
+      openGuide(await loadSession(id), 'Open recent guide', id)
+    } catch (error) {
+      window.alert(`Could not open the saved session: ${error.message}`)
+    }
+  }
+
+  const handleDeleteSession = async (id) => {
+    try {
+      await deleteSession(id)
+      setRecentSessions((current) => current.filter((session) => session.id !== id))
+    } catch (error) {
+      window.alert(`Could not delete the saved session: ${error.message}`)
+    }
+  }
+
+  // The empty state lists recent sessions; on startup the latest one is
+  // offered for restore
+  const hasPages = pages.length > 0
+  useEffect(() => {
+    if (hasPages) return
+    let cancelled = false
+    listSessions().then(
+      (sessions) => {
+        if (cancelled) return
+        setRecentSessions(sessions)
+        if (!restoreOfferedRef.current) {
+          restoreOfferedRef.current = true
+          setRestoreOffer(sessions[0] ?? null)
+        }
+      },
+      // Without storage there is nothing to list; autosave reports the
+      // problem once there is work to save
+      () => {}
+    )
+    return () => {
+      cancelled = true
+    }
+  }, [hasPages])
+
+  const loadFiles = (files) => {
+    const project = files.find(isProjectFile)
+    if (project) {
+      loadProjectFromFile(project)
+    } else {
+      addImageFiles(files.filter((file) => file.type.startsWith('image/')))
+    }
+  }
+
+  const selectedAnnotation = annotations.find((a) => a.id === selectedId)
+  const selectedAnnotations = useMemo(
+    () => annotations.filter((a) => selectedIds.includes(a.id)),
+    [annotations, selectedIds]
+  )
+
+  const pasteAnnotations = useCallback((sources) => {
+    if (!image) return
+    // Pasting onto the image the copies came from offsets them so they
+    // don't land exactly on top; onto another image they keep position.
+    const sameImage = sources.some((s) => annotations.some((a) => a.id === s.id))
+    const { annotations: next, added } = insertCopies(
+      annotations,
+      sources,
+      sameImage ? DUPLICATE_OFFSET : 0
+    )
+    setAnnotations(next, { label: 'Paste annotations' })
+    setSelectedIds(added.map((a) => a.id))
+  }, [image, annotations, setAnnotations])
+
+  // Clipboard paste support: images are added as a new page, copied
+  // annotations are added to the current one
   useEffect(() => {
     const handlePaste = async (e) => {
+      if (isEditableTarget(e.target)) return
       const items = e.clipboardData?.items
       if (!items) return
 
@@ -35,33 +402,179 @@ function App() {
           e.preventDefault()
           const file = item.getAsFile()
           if (file) {
-            loadImageFromFile(file)
+            addImageFiles([file])
           }
-          break
+          return
         }
       }
+
+      const copied = parseClipboard(e.clipboardData.getData('text/plain')) ||
+        annotationClipboardRef.current
+      if (copied) {
+        e.preventDefault()
+        pasteAnnotations(copied)
+      }
     }
 
     window.addEventListener('paste', handlePaste)
     return () => window.removeEventListener('paste', handlePaste)
-  }, [])
+  }, [addImageFiles, pasteAnnotations])
 
-  const loadImageFromFile = (file) => {
-    const reader = new FileReader()
-    reader.onload = (e) => {
-      setImage({
-        src: e.target.result,
-      })
-      setAnnotations([]) // Clear annotations when new image loads
+  // Copy the selected annotations to the clipboard
+  useEffect(() => {
+    const handleCopy = (e) => {
+      if (isEditableTarget(e.target) || selectedAnnotations.length === 0) return
+      if (window.getSelection()?.toString()) return
+
+      e.preventDefault()
+      annotationClipboardRef.current = selectedAnnotations
+      e.clipboardData.setData('text/plain', serializeClipboard(selectedAnnotations))
     }
-    reader.readAsDataURL(file)
-  }
 
-  const handleFileUpload = (e) => {
-    const file = e.target.files?.[0]
-    if (file) {
-      loadImageFromFile(file)
+    window.addEventListener('copy', handleCopy)
+    return () => window.removeEventListener('copy', handleCopy)
+  }, [selectedAnnotations])
+
+  // Copies with the current export size/background settings, always as PNG
+  const handleCopyImage = useCallback(async () => {
+    try {
+      await copyCanvasToClipboard(canvasRef, exportOptions)
+      setImageCopied(true)
+      setTimeout(() => setImageCopied(false), 2000)
+    } catch (error) {
+      window.alert(`Could not copy image: ${error.message}`)
+    }
+  }, [exportOptions])
+
+  const selectedName = useCallback(() => (selectedAnnotation
+    ? annotationName(selectedAnnotation, markerNumbers(annotations, pageNumbering).get(selectedId))
+    : `${selectedAnnotations.length} annotations`), [annotations, pageNumbering, selectedAnnotation, selectedAnnotations, selectedId])
+
+  const deleteSelected = useCallback(() => {
+    setAnnotations(
+      (current) => current.filter((a) => !selectedIds.includes(a.id)),
+      { label: selectedIds.length > 1 ? 'Delete annotations' : 'Delete annotation' }
+    )
+    setSelectedIds([])
+    setAnnouncement(`${selectedName()} deleted`)
+  }, [selectedIds, selectedName, setAnnotations])
+
+  const duplicateSelected = useCallback(() => {
+    const { annotations: next, added } = insertCopies(
+      annotations,
+      selectedAnnotations,
+      DUPLICATE_OFFSET
+    )
+    setAnnotations(next, { label: added.length > 1 ? 'Duplicate annotations' : 'Duplicate annotation' })
+    setSelectedIds(added.map((a) => a.id))
+  }, [annotations, selectedAnnotations, setAnnotations])
+
+  // Keyboard shortcuts, dispatched from the keymap
+  useEffect(() => {
+    const nudge = (e, step) => {
+      // Locked annotations keep their position
+      const moving = selectedAnnotations.filter((a) => !a.locked).map((a) => a.id)
+      if (moving.length === 0) return
+      const delta = nudgeDelta(e)
+      setAnnotations(
+        (current) => current.map((a) =>
+          moving.includes(a.id) ? moveAnnotation(a, delta.dx * step, delta.dy * step) : a
+        ),
+        { label: moving.length > 1 ? 'Move annotations' : 'Move annotation', coalesce: `nudge:${moving.join(',')}` }
+      )
+      setAnnouncement(selectedAnnotation
+        ? `${selectedName()} moved to ${formatPoint(moveAnnotation(selectedAnnotation, delta.dx * step, delta.dy * step))}`
+        : `${moving.length} annotations moved`)
     }
+
+    const goToPage = (index) => {
+      if (!pages[index]) return
+      setCurrentPageId(pages[index].id)
+      setSelectedId(null)
+    }
+
+    // Handlers return false when the shortcut doesn't apply right now,
+    // leaving the key to the browser
+    const actions = {
+      undo: () => {
+        if (canUndo) setAnnouncement(`Undid ${undoLabel}`)
+        undo()
+      },
+      redo: () => {
+        if (canRedo) setAnnouncement(`Redid ${redoLabel}`)
+        redo()
+      },
+      delete: deleteSelected,
+      nudge: (e) => nudge(e, 1),
+      'nudge-large': (e) => nudge(e, 10),
+      duplicate: duplicateSelected,
+      'select-all': () => {
+        // Locked and hidden annotations can't be picked on the canvas either
+        const ids = annotations.filter((a) => !a.locked && !a.hidden).map((a) => a.id)
+        setSelectedIds(ids)
+        setAnnouncement(`${ids.length} selected`)
+      },
+      deselect: () => setSelectedId(null),
+      'copy-image': handleCopyImage,
+      'zoom-in': () => canvasRef.current?.zoomIn(),
+      'zoom-out': () => canvasRef.current?.zoomOut(),
+      'zoom-fit': () => canvasRef.current?.setViewMode('fit'),
+      'zoom-actual': () => canvasRef.current?.setViewMode('actual'),
+      'previous-page': () => goToPage(pageIndex - 1),
+      'next-page': () => goToPage(pageIndex + 1),
+    }
+    const needsSelection = ['delete', 'nudge', 'nudge-large', 'duplicate', 'deselect']
+
+    const handleKeyDown = (e) => {
+      if (isShortcutBlocked(e.target)) return
+
+      const shortcut = findShortcut(keymap, e)
+      if (!shortcut) return
+
+      const { action } = shortcut
+      const needsImage = action.startsWith('tool:') || action.startsWith('zoom-') ||
+        action.endsWith('-page') || action === 'copy-image' || action === 'select-all'
+      if (needsImage && !image) return
+
+      if (action.startsWith('tool:')) {
+        setTool(action.slice('tool:'.length))
+      } else {
+        const run = actions[action]
+        if (!run) return
+        if (needsSelection.includes(action) && selectedAnnotations.length === 0) return
+        run(e)
+      }
+      e.preventDefault()
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [
+    image,
+    pages,
+    pageIndex,
+    annotations,
+    pageNumbering,
+    selectedId,
+    selectedAnnotation,
+    selectedAnnotations,
+    selectedName,
+    setSelectedId,
+    deleteSelected,
+    duplicateSelected,
+    setAnnotations,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
+    handleCopyImage,
+  ])
+
+  const handleFileUpload = (e) => {
+    loadFiles([...(e.target.files || [])])
+    e.target.value = ''
   }
 
   const handleDragOver = (e) => {
@@ -70,43 +583,247 @@ function App() {
 
   const handleDrop = (e) => {
     e.preventDefault()
-    const file = e.dataTransfer.files[0]
-    if (file && file.type.startsWith('image/')) {
-      loadImageFromFile(file)
+    loadFiles([...e.dataTransfer.files])
+  }
+
+  const handleSaveProject = () => {
+    const json = serializeProject({ pages, numbering, presets, legend, spotlight })
+    downloadBlob(
+      new Blob([json], { type: 'application/json' }),
+      `annotated-${fileTimestamp()}${PROJECT_FILE_EXTENSION}`
+    )
+  }
+
+  const handleOpenProject = (e) => {
+    const file = e.target.files?.[0]
+    if (file) {
+      loadProjectFromFile(file)
+    }
+    e.target.value = ''
+  }
+
+  const handleOpenExport = () => {
+    setExportDialog({
+      open: true,
+      contentRect: canvasRef.current?.getContentRect(),
+      outputSize: canvasRef.current?.getOutputSize(),
+    })
+  }
+
+  // The SVG embeds the redacted, re-encoded base image from the canvas,
+  // never the source data URL
+  const svgDocument = useCallback((options, contentRect = exportDialog.contentRect) => ({
+    image: { ...image, src: canvasRef.current.getImageDataURL() },
+    annotations,
+    numbering: pageNumbering,
+    presets,
+    legend: pageLegend,
+    spotlight,
+    contentRect,
+    options,
+  }), [image, annotations, pageNumbering, presets, pageLegend, spotlight, exportDialog.contentRect])
+
+  const handleImageReady = useCallback(() => {
+    drawnPageRef.current = pageId
+    const pending = pageReadyRef.current
+    if (pending?.id === pageId) {
+      pageReadyRef.current = null
+      pending.resolve()
+    }
+  }, [pageId])
+
+  // Switches the canvas to a page and resolves once it has been drawn
+  const showPage = (id) => new Promise((resolve, reject) => {
+    if (drawnPageRef.current === id) {
+      resolve()
+      return
+    }
+    const timer = setTimeout(() => {
+      pageReadyRef.current = null
+      reject(new Error('A page image could not be drawn'))
+    }, PAGE_RENDER_TIMEOUT_MS)
+    pageReadyRef.current = {
+      id,
+      resolve: () => {
+        clearTimeout(timer)
+        resolve()
+      },
+    }
+    selectPage(id)
+  })
+
+  // Every page goes through the same canvas render path as a single
+  // export, one after the other, into a ZIP named in page order
+  const exportAllPages = async (options) => {
+    const format = exportFormat(options.format)
+    const returnTo = pageId
+    const files = []
+    try {
+      for (const [index, p] of pages.entries()) {
+        await showPage(p.id)
+        const canvas = canvasRef.current
+        const blob = format.vector
+          ? new Blob([buildSvg({
+            image: { ...p.image, src: canvas.getImageDataURL() },
+            annotations: p.annotations,
+            numbering: numberings[index],
+            presets,
+            legend: { placement: legend.placement, position: p.legendPosition },
+            spotlight,
+            contentRect: canvas.getContentRect(),
+            options,
+          })], { type: format.mimeType })
+          : await renderCanvasToBlob(canvasRef, options)
+        files.push({ name: pageFilename(p, index, pages.length, format.extension), blob })
+      }
+    } finally {
+      pageReadyRef.current = null
+      selectPage(returnTo)
+    }
+    downloadBlob(await createZip(files), `guide-${fileTimestamp()}.zip`)
+  }
+
+  // Downloads every page as a ZIP, or the current page as `basename`
+  const exportImages = (options, allPages, basename, contentRect) => {
+    if (allPages && pages.length > 1) {
+      setIsExportingPages(true)
+      exportAllPages(options)
+        .catch((error) => window.alert(`Export failed: ${error.message}`))
+        .finally(() => setIsExportingPages(false))
+    } else if (options.format === 'svg') {
+      exportSVG(`${basename}.svg`, svgDocument(options, contentRect))
+    } else {
+      exportCanvasToFile(canvasRef, basename, options).catch((error) => {
+        window.alert(`Export failed: ${error.message}`)
+      })
     }
   }
 
   const handleExport = () => {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)
-    exportCanvasToPNG(canvasRef, `annotated-${timestamp}.png`)
+    exportImages(exportOptions, exportOptions.allPages, `annotated-${fileTimestamp()}`, exportDialog.contentRect)
+    setExportDialog({ open: false, contentRect: null, outputSize: null })
   }
 
-  const handleClearAnnotations = () => {
-    if (window.confirm('Clear all annotations? This cannot be undone.')) {
-      setAnnotations([])
+  // The docs snippet refers to images by their guide export filenames
+  // (see @/lib/guide), so a single page is downloaded under that name too
+  const imageExtension = exportFormat(exportOptions.format).extension
+  const snippet = docsDialogOpen
+    ? buildSnippet(
+      snippetOptions.allPages && pages.length > 1
+        ? pages.map((p, index) => ({ page: p, index, numbering: numberings[index] }))
+        : [{ page, index: pageIndex, numbering: pageNumbering }],
+      pages.length,
+      imageExtension,
+      snippetOptions
+    )
+    : ''
+
+  const handleCopySnippet = async () => {
+    try {
+      await navigator.clipboard.writeText(snippet)
+      setSnippetCopied(true)
+      setTimeout(() => setSnippetCopied(false), 2000)
+    } catch (error) {
+      window.alert(`Could not copy the snippet: ${error.message}`)
     }
   }
 
-  const handleNewImage = () => {
-    if (annotations.length > 0) {
-      if (!window.confirm('Load a new image? Current annotations will be lost.')) {
-        return
-      }
+  const handleDownloadDocsImage = () => {
+    const filename = pageFilename(page, pageIndex, pages.length, imageExtension)
+    exportImages(
+      exportOptions,
+      snippetOptions.allPages,
+      filename.slice(0, -(imageExtension.length + 1)),
+      canvasRef.current?.getContentRect()
+    )
+  }
+
+  const estimateExportSize = useCallback(async (options) => {
+    if (options.format === 'svg') {
+      return new Blob([buildSvg(svgDocument(options))]).size
     }
-    setImage(null)
-    setAnnotations([])
-    if (fileInputRef.current) {
-      fileInputRef.current.value = ''
+    const blob = await renderCanvasToBlob(canvasRef, options)
+    return blob.size
+  }, [svgDocument])
+
+  // Replaces the current page's image with `rect` of it, shifting the
+  // annotations to match (see @/lib/crop)
+  const reframe = async (rect, background, label) => {
+    const id = pageId
+    setIsReframing(true)
+    try {
+      const next = await reframeImage(image, rect, background)
+      commit((doc) => updatePage(doc, id, (p) => reframePage(p, rect, next)), { label })
+      setAnnouncement(`${label}: the image is now ${next.width} by ${next.height} pixels`)
+    } catch (error) {
+      window.alert(`Could not change the image: ${error.message}`)
+    } finally {
+      setIsReframing(false)
     }
   }
 
-  const tools = [
-    { id: 'select', icon: MousePointer2, label: 'Select', description: 'Select and move annotations' },
-    { id: 'marker', icon: Hash, label: 'Marker', description: 'Add numbered markers with optional labels' },
-    { id: 'text', icon: Type, label: 'Text', description: 'Add text annotations' },
-    { id: 'rect', icon: Square, label: 'Rectangle', description: 'Draw rectangles to highlight areas' },
-    { id: 'circle', icon: Circle, label: 'Circle', description: 'Draw circles to highlight areas' },
-  ]
+  const handleStartCrop = () => {
+    setSelectedId(null)
+    setCrop({ pageId, src: image.src, rect: fullImageRect(image), aspect: 'free' })
+  }
+
+  // Clamping to the image trims width and height separately, so a fixed
+  // ratio is fitted again afterwards
+  const handleCropChange = (rect) => {
+    setCrop((current) => ({
+      ...current,
+      rect: fitAspect(clampCropRect(rect, image), aspectRatio(current.aspect, image), image),
+    }))
+  }
+
+  const handleApplyCrop = () => {
+    const { rect } = activeCrop
+    setCrop(null)
+    if (rect.width === image.width && rect.height === image.height) return
+    reframe(rect, null, 'Crop image')
+  }
+
+  // Resolves to false when there is no border to trim
+  const handleTrim = async () => {
+    try {
+      const rect = await trimRect(image)
+      if (!rect) return false
+      await reframe(rect, null, 'Trim image')
+    } catch (error) {
+      window.alert(`Could not trim the image: ${error.message}`)
+    }
+    return true
+  }
+
+  const handleClearAnnotations = () => {
+    setAnnotations([], { label: 'Clear annotations' })
+  }
+
+  const handleNewGuide = () => {
+    const id = createSessionId()
+    // The team's numbering, styles, legend and spotlight settings carry
+    // over to the next guide
+    commit(
+      (doc) => ({
+        ...EMPTY_DOCUMENT,
+        sessionId: id,
+        numbering: doc.numbering,
+        presets: doc.presets,
+        legend: doc.legend,
+        spotlight: doc.spotlight,
+      }),
+      { label: 'New guide' }
+    )
+  }
+
+  const handleDeletePage = (id) => {
+    const index = pages.findIndex((p) => p.id === id)
+    const neighbor = pages[index + 1] || pages[index - 1]
+    commit((doc) => ({ ...doc, pages: doc.pages.filter((p) => p.id !== id) }), { label: 'Delete page' })
+    if (id === pageId && neighbor) {
+      selectPage(neighbor.id)
+    }
+  }
 
   if (!image) {
     return (
@@ -117,7 +834,15 @@ function App() {
               <h1 className="text-2xl font-bold">Documentation Image Annotator</h1>
               <p className="text-sm text-muted-foreground">Fast, opinionated tool for creating instruction images</p>
             </div>
-            <ThemeToggle />
+            <div className="flex items-center gap-2">
+              {history.canUndo && (
+                <Button variant="outline" size="sm" onClick={undo} title="Undo (Ctrl/Cmd+Z)">
+                  <Undo2 className="w-4 h-4 mr-2" />
+                  Undo {history.undoLabel}
+                </Button>
+              )}
+              <ThemeToggle />
+            </div>
           </div>
         </header>
 
@@ -132,7 +857,8 @@ function App() {
               <input
                 ref={fileInputRef}
                 type="file"
-                accept="image/*"
+                accept={`image/*,${PROJECT_FILE_EXTENSION},.json`}
+                multiple
                 onChange={handleFileUpload}
                 className="hidden"
               />
@@ -145,12 +871,25 @@ function App() {
                   <p className="text-muted-foreground">
                     Drag and drop, click to browse, or press <kbd className="px-2 py-1 bg-muted rounded text-xs font-mono">Ctrl/Cmd + V</kbd> to paste from clipboard
                   </p>
-                  <p className="text-sm text-muted-foreground">Supports PNG, JPG, and other common image formats</p>
+                  <p className="text-sm text-muted-foreground">
+                    Supports PNG, JPG, and other common image formats, or a saved <code className="font-mono">{PROJECT_FILE_EXTENSION}</code> project
+                  </p>
                 </div>
               </div>
             </div>
+            <RecentSessions
+              sessions={recentSessions}
+              onOpen={handleOpenSession}
+              onDelete={handleDeleteSession}
+            />
           </Card>
         </main>
+
+        <RestoreSessionDialog
+          session={restoreOffer}
+          onRestore={handleOpenSession}
+          onDismiss={() => setRestoreOffer(null)}
+        />
       </div>
     )
   }
@@ -163,15 +902,45 @@ function App() {
             <h1 className="text-xl font-bold">Documentation Image Annotator</h1>
           </div>
           <div className="flex items-center gap-2">
-            <Button variant="outline" size="sm" onClick={handleNewImage}>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={undo}
+              disabled={!history.canUndo}
+              title={history.canUndo ? `Undo ${history.undoLabel} (Ctrl/Cmd+Z)` : 'Nothing to undo'}
+            >
+              <Undo2 className="h-5 w-5" />
+              <span className="sr-only">Undo</span>
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={redo}
+              disabled={!history.canRedo}
+              title={history.canRedo ? `Redo ${history.redoLabel} (Ctrl/Cmd+Shift+Z)` : 'Nothing to redo'}
+            >
+              <Redo2 className="h-5 w-5" />
+              <span className="sr-only">Redo</span>
+            </Button>
+            <Button variant="outline" size="sm" onClick={handleNewGuide}>
               <Upload className="w-4 h-4 mr-2" />
-              New Image
+              New Guide
             </Button>
             <ThemeToggle />
           </div>
         </div>
       </header>
 
+      {autosaveError && (
+        <div role="alert" className="shrink-0 border-b border-destructive/30 bg-destructive/10 px-6 py-2 text-sm text-destructive">
+          Autosave failed: {autosaveError.message}
+        </div>
+      )}
+
+      <div role="status" aria-live="polite" className="sr-only">
+        {announcement}
+      </div>
+
       <div className="flex-1 flex overflow-hidden">
         {/* Sidebar */}
         <aside className="w-80 border-r bg-card flex flex-col overflow-y-auto">
@@ -190,9 +959,12 @@ function App() {
                       variant={tool === t.id ? 'default' : 'outline'}
                       className="w-full justify-start"
                       onClick={() => setTool(t.id)}
+                      aria-pressed={tool === t.id}
+                      aria-keyshortcuts={t.shortcut}
                     >
                       <Icon className="w-4 h-4 mr-3" />
                       <span>{t.label}</span>
+                      <kbd className="ml-auto text-xs font-mono opacity-60">{t.shortcut}</kbd>
                     </Button>
                   )
                 })}
@@ -216,6 +988,100 @@ function App() {
               </CardContent>
             </Card>
 
+            <ImagePanel
+              imageSize={image}
+              crop={activeCrop}
+              onStartCrop={handleStartCrop}
+              onCropChange={handleCropChange}
+              onAspectChange={(aspect) => setCrop((current) => ({
+                ...current,
+                aspect,
+                rect: fitAspect(current.rect, aspectRatio(aspect, image), image),
+              }))}
+              onApplyCrop={handleApplyCrop}
+              onCancelCrop={() => setCrop(null)}
+              onTrim={handleTrim}
+              onPad={(padding) => reframe(paddedRect(image, padding.size), padding.color, 'Add padding')}
+              busy={isReframing}
+            />
+
+            <ArrangePanel
+              annotations={annotations}
+              selectedIds={selectedIds}
+              presets={presets}
+              setAnnotations={setAnnotations}
+              snapping={snapping}
+              onSnappingChange={setSnapping}
+              onAnnounce={setAnnouncement}
+            />
+
+            {selectedAnnotation && (
+              <SelectionPanel
+                annotation={selectedAnnotation}
+                presets={presets}
+                spotlight={spotlight}
+                onSpotlightChange={setSpotlight}
+                onChange={(changes, label) => setAnnotations(
+                  (current) => current.map((a) => (a.id === selectedId ? { ...a, ...changes } : a)),
+                  { label }
+                )}
+              />
+            )}
+
+            {selectedAnnotations.length > 1 && (
+              <MultiSelectionPanel
+                annotations={selectedAnnotations}
+                presets={presets}
+                onChange={(changes, label) => setAnnotations(
+                  (current) => current.map((a) => (
+                    selectedIds.includes(a.id) && !isRedaction(a) ? { ...a, ...changes } : a
+                  )),
+                  { label }
+                )}
+                onGroup={() => {
+                  setAnnotations(groupAnnotations(annotations, selectedIds), { label: 'Group annotations' })
+                  setAnnouncement(`${selectedIds.length} annotations grouped`)
+                }}
+                onUngroup={() => {
+                  setAnnotations(ungroupAnnotations(annotations, selectedIds), { label: 'Ungroup annotations' })
+                  setAnnouncement(`${selectedIds.length} annotations ungrouped`)
+                }}
+                onDuplicate={duplicateSelected}
+                onDelete={deleteSelected}
+              />
+            )}
+
+            <StepsPanel
+              annotations={annotations}
+              numbering={numbering}
+              pageNumbering={pageNumbering}
+              pageCount={pages.length}
+              onNumberingChange={setNumbering}
+              legend={legend}
+              onLegendChange={setLegend}
+              setAnnotations={setAnnotations}
+              selectedId={selectedId}
+              onSelect={setSelectedId}
+              onAnnounce={setAnnouncement}
+            />
+
+            <OutlinePanel
+              annotations={annotations}
+              numbering={pageNumbering}
+              setAnnotations={setAnnotations}
+              selectedIds={selectedIds}
+              onSelect={selectAlone}
+              onToggleSelect={toggleSelected}
+              onAnnounce={setAnnouncement}
+            />
+
+            <StylesPanel
+              presets={presets}
+              setPresets={setPresets}
+              onImport={handleImportPresets}
+              onExport={handleExportPresets}
+            />
+
             <Separator />
 
             {/* Actions Section */}
@@ -235,12 +1101,53 @@ function App() {
                 </Button>
                 <Button 
                   className="w-full justify-start"
-                  onClick={handleExport}
-                  disabled={annotations.length === 0}
+                  onClick={handleOpenExport}
+                  disabled={isExportingPages}
                 >
                   <Download className="w-4 h-4 mr-3" />
-                  Export as PNG
+                  {isExportingPages ? 'Exporting pages…' : 'Export…'}
                 </Button>
+                <Button
+                  variant="outline"
+                  className="w-full justify-start"
+                  onClick={() => setDocsDialogOpen(true)}
+                  disabled={isExportingPages}
+                >
+                  <FileText className="w-4 h-4 mr-3" />
+                  Export for Docs…
+                </Button>
+                <Button
+                  variant="outline"
+                  className="w-full justify-start"
+                  onClick={handleCopyImage}
+                  disabled={isExportingPages}
+                >
+                  {imageCopied ? <Check className="w-4 h-4 mr-3" /> : <Copy className="w-4 h-4 mr-3" />}
+                  {imageCopied ? 'Copied to Clipboard' : 'Copy Image'}
+                </Button>
+                <Button
+                  variant="outline"
+                  className="w-full justify-start"
+                  onClick={handleSaveProject}
+                >
+                  <Save className="w-4 h-4 mr-3" />
+                  Save Project
+                </Button>
+                <Button
+                  variant="outline"
+                  className="w-full justify-start"
+                  onClick={() => projectInputRef.current?.click()}
+                >
+                  <FolderOpen className="w-4 h-4 mr-3" />
+                  Open Project
+                </Button>
+                <input
+                  ref={projectInputRef}
+                  type="file"
+                  accept={`${PROJECT_FILE_EXTENSION},.json,application/json`}
+                  onChange={handleOpenProject}
+                  className="hidden"
+                />
               </div>
             </div>
 
@@ -252,10 +1159,12 @@ function App() {
                 <CardTitle className="text-sm">Keyboard Shortcuts</CardTitle>
               </CardHeader>
               <CardContent className="text-xs text-muted-foreground space-y-1">
-                <div className="flex justify-between">
-                  <span>Paste image:</span>
-                  <kbd className="px-2 py-0.5 bg-muted rounded font-mono">Ctrl/Cmd+V</kbd>
-                </div>
+                {keymap.map((entry) => (
+                  <div key={entry.action} className="flex justify-between">
+                    <span>{entry.label}:</span>
+                    <kbd className="px-2 py-0.5 bg-muted rounded font-mono">{formatShortcut(entry)}</kbd>
+                  </div>
+                ))}
                 <div className="flex justify-between">
                   <span>Move annotation:</span>
                   <span>Click & drag</span>
@@ -264,53 +1173,87 @@ function App() {
                   <span>Deselect:</span>
                   <span>Click empty area</span>
                 </div>
+                <div className="flex justify-between">
+                  <span>Edit text or label:</span>
+                  <span>Double-click</span>
+                </div>
               </CardContent>
             </Card>
-
-            {/* Stats */}
-            {annotations.length > 0 && (
-              <Card>
-                <CardHeader className="pb-3">
-                  <CardTitle className="text-sm">Document Stats</CardTitle>
-                </CardHeader>
-                <CardContent className="text-xs text-muted-foreground">
-                  <div className="space-y-1">
-                    <div className="flex justify-between">
-                      <span>Total annotations:</span>
-                      <span className="font-semibold text-foreground">{annotations.length}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span>Markers:</span>
-                      <span className="font-semibold text-foreground">
-                        {annotations.filter(a => a.type === 'marker').length}
-                      </span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span>Shapes:</span>
-                      <span className="font-semibold text-foreground">
-                        {annotations.filter(a => a.type === 'rect' || a.type === 'circle').length}
-                      </span>
-                    </div>
-                  </div>
-                </CardContent>
-              </Card>
-            )}
           </div>
         </aside>
 
         {/* Canvas Area */}
-        <main className="flex-1 p-6 overflow-hidden">
-          <div className="w-full h-full rounded-lg border bg-card shadow-sm overflow-hidden">
+        <main className="flex-1 flex flex-col overflow-hidden">
+          <div className="flex-1 m-6 rounded-lg border bg-card shadow-sm overflow-hidden">
             <KonvaCanvas
+              // A fresh canvas per page, so view and edit state don't leak
+              key={pageId}
               ref={canvasRef}
               image={image}
               tool={tool}
               annotations={annotations}
+              numbering={pageNumbering}
+              presets={presets}
+              legend={pageLegend}
+              onLegendMove={moveLegend}
+              spotlight={spotlight}
+              crop={activeCrop && { rect: activeCrop.rect, keepRatio: activeCrop.aspect !== 'free' }}
+              onCropChange={handleCropChange}
+              onImageReady={handleImageReady}
               setAnnotations={setAnnotations}
+              onGestureEnd={endCoalescing}
+              selectedId={selectedId}
+              selectedIds={selectedIds}
+              setSelectedId={setSelectedId}
+              onSelectAlone={selectAlone}
+              onToggleSelect={toggleSelected}
+              onSelectMany={selectMany}
+              snapping={snapping}
+              onAnnounce={setAnnouncement}
             />
           </div>
+          <Filmstrip
+            pages={pages}
+            currentPageId={pageId}
+            onSelect={selectPage}
+            onReorder={(id, index) => commit(
+              (doc) => ({ ...doc, pages: movePage(doc.pages, id, index) }),
+              { label: 'Reorder pages' }
+            )}
+            onDelete={handleDeletePage}
+            onRename={(id, name) => commit(
+              (doc) => updatePage(doc, id, (p) => ({ ...p, name })),
+              { label: 'Rename page', coalesce: `rename:${id}` }
+            )}
+            onAddFiles={addImageFiles}
+          />
         </main>
       </div>
+
+      <ExportDialog
+        open={exportDialog.open}
+        onOpenChange={(open) => setExportDialog((current) => ({ ...current, open }))}
+        imageSize={exportDialog.outputSize ?? image}
+        pageCount={pages.length}
+        contentRect={exportDialog.contentRect}
+        options={exportOptions}
+        onOptionsChange={setExportOptions}
+        estimateSize={estimateExportSize}
+        onExport={handleExport}
+      />
+
+      <DocsExportDialog
+        open={docsDialogOpen}
+        onOpenChange={setDocsDialogOpen}
+        pageCount={pages.length}
+        options={snippetOptions}
+        onOptionsChange={setSnippetOptions}
+        snippet={snippet}
+        imageFormat={exportFormat(exportOptions.format).label}
+        copied={snippetCopied}
+        onCopy={handleCopySnippet}
+        onDownload={handleDownloadDocsImage}
+      />
     </div>
   )
 }
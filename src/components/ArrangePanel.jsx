@@ -0,0 +1,151 @@
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { styleFor } from '@/lib/annotationStyles'
+import {
+  ALIGNMENTS,
+  GRID_SIZES,
+  alignAnnotations,
+  annotationBounds,
+  distributeAnnotations,
+} from '@/lib/snapping'
+import {
+  AlignCenterHorizontal,
+  AlignCenterVertical,
+  AlignEndHorizontal,
+  AlignEndVertical,
+  AlignHorizontalDistributeCenter,
+  AlignStartHorizontal,
+  AlignStartVertical,
+  AlignVerticalDistributeCenter,
+  Magnet,
+} from 'lucide-react'
+
+const ALIGNMENT_ICONS = {
+  left: AlignStartVertical,
+  center: AlignCenterVertical,
+  right: AlignEndVertical,
+  top: AlignStartHorizontal,
+  middle: AlignCenterHorizontal,
+  bottom: AlignEndHorizontal,
+}
+
+const DISTRIBUTIONS = [
+  { axis: 'x', label: 'Distribute horizontally', icon: AlignHorizontalDistributeCenter },
+  { axis: 'y', label: 'Distribute vertically', icon: AlignVerticalDistributeCenter },
+]
+
+/**
+ * Snapping settings, and aligning and distributing the selected
+ * annotations (see @/lib/snapping). Alignment is by the boxes drawn in
+ * exports, so it uses the presets' styles without the editor's glyph
+ * enlargement.
+ */
+export function ArrangePanel({
+  annotations,
+  selectedIds,
+  presets,
+  setAnnotations,
+  snapping,
+  onSnappingChange,
+  onAnnounce,
+}) {
+  const boundsOf = (annotation) => annotationBounds(annotation, styleFor(annotation, presets))
+  const count = annotations.filter((a) => selectedIds.includes(a.id) && !a.locked).length
+
+  const align = (alignment) => {
+    setAnnotations(
+      alignAnnotations(annotations, selectedIds, alignment.id, boundsOf),
+      { label: 'Align annotations' }
+    )
+    onAnnounce?.(`${alignment.label}: ${count} annotations`)
+  }
+
+  const distribute = (distribution) => {
+    setAnnotations(
+      distributeAnnotations(annotations, selectedIds, distribution.axis, boundsOf),
+      { label: 'Distribute annotations' }
+    )
+    onAnnounce?.(`${distribution.label}: ${count} annotations`)
+  }
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm flex items-center gap-2">
+          <Magnet className="w-4 h-4" />
+          Arrange
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <label className="flex items-center gap-2 text-xs">
+          <input
+            type="checkbox"
+            checked={snapping.objects}
+            onChange={(e) => onSnappingChange({ ...snapping, objects: e.target.checked })}
+          />
+          Snap to annotations and image
+        </label>
+        <div className="flex items-center gap-2 text-xs">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={snapping.grid}
+              onChange={(e) => onSnappingChange({ ...snapping, grid: e.target.checked })}
+            />
+            Grid
+          </label>
+          <select
+            value={snapping.gridSize}
+            onChange={(e) => onSnappingChange({ ...snapping, gridSize: Number(e.target.value) })}
+            className="h-7 flex-1 rounded-md border border-input bg-background px-1.5 text-xs"
+            aria-label="Grid size"
+          >
+            {GRID_SIZES.map((size) => (
+              <option key={size} value={size}>{size} px</option>
+            ))}
+          </select>
+        </div>
+        <p className="text-xs text-muted-foreground">Hold Ctrl or ⌘ while dragging to place freely.</p>
+
+        {count >= 2 ? (
+          <div className="flex flex-wrap gap-1">
+            {ALIGNMENTS.map((alignment) => {
+              const Icon = ALIGNMENT_ICONS[alignment.id]
+              return (
+                <Button
+                  key={alignment.id}
+                  size="icon"
+                  variant="outline"
+                  className="h-7 w-7"
+                  onClick={() => align(alignment)}
+                  title={alignment.label}
+                  aria-label={alignment.label}
+                >
+                  <Icon className="w-4 h-4" />
+                </Button>
+              )
+            })}
+            {DISTRIBUTIONS.map((distribution) => (
+              <Button
+                key={distribution.axis}
+                size="icon"
+                variant="outline"
+                className="h-7 w-7"
+                onClick={() => distribute(distribution)}
+                disabled={count < 3}
+                title={distribution.label}
+                aria-label={distribution.label}
+              >
+                <distribution.icon className="w-4 h-4" />
+              </Button>
+            ))}
+          </div>
+        ) : (
+          <p className="text-xs text-muted-foreground">
+            Shift-click annotations to select several, then align or distribute them.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
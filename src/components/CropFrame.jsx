@@ -0,0 +1,60 @@
+import { useEffect, useRef } from 'react'
+import { Group, Rect, Transformer } from 'react-konva'
+import { rectFromNode } from '@/components/annotations/dragHandlers'
+
+const SHADE = 'rgba(0,0,0,0.5)'
+const FRAME_COLOR = '#3b82f6'
+const CORNER_ANCHORS = ['top-left', 'top-right', 'bottom-left', 'bottom-right']
+
+/**
+ * The crop rectangle on the canvas: the image outside it is shaded, the
+ * rectangle can be dragged and resized by its handles. A locked aspect
+ * ratio (`keepRatio`) leaves only the corner handles. `onChange(rect)` is
+ * called with the new rectangle in image pixels, for the caller to clamp.
+ */
+export function CropFrame({ rect, imageSize, keepRatio, scale, onChange }) {
+  const frameRef = useRef(null)
+  const transformerRef = useRef(null)
+
+  useEffect(() => {
+    transformerRef.current.nodes([frameRef.current])
+  }, [])
+
+  const right = rect.x + rect.width
+  const bottom = rect.y + rect.height
+  const shades = [
+    { x: 0, y: 0, width: imageSize.width, height: rect.y },
+    { x: 0, y: bottom, width: imageSize.width, height: imageSize.height - bottom },
+    { x: 0, y: rect.y, width: rect.x, height: rect.height },
+    { x: right, y: rect.y, width: imageSize.width - right, height: rect.height },
+  ]
+
+  return (
+    <Group>
+      {shades.map((shade, i) => (
+        <Rect key={i} {...shade} fill={SHADE} listening={false} />
+      ))}
+      <Rect
+        ref={frameRef}
+        {...rect}
+        stroke={FRAME_COLOR}
+        strokeWidth={1 / scale}
+        dash={[6 / scale, 4 / scale]}
+        draggable
+        onDragMove={(e) => onChange({ ...rect, x: e.target.x(), y: e.target.y() })}
+        onTransform={(e) => onChange(rectFromNode(e.target))}
+        onTransformEnd={(e) => onChange(rectFromNode(e.target))}
+      />
+      <Transformer
+        ref={transformerRef}
+        rotateEnabled={false}
+        flipEnabled={false}
+        keepRatio={keepRatio}
+        enabledAnchors={keepRatio ? CORNER_ANCHORS : undefined}
+        ignoreStroke
+        anchorStroke={FRAME_COLOR}
+        borderEnabled={false}
+      />
+    </Group>
+  )
+}
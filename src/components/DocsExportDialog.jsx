@@ -0,0 +1,104 @@
+import { Button } from '@/components/ui/button'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { PATH_PLACEHOLDERS, SNIPPET_SYNTAXES } from '@/lib/snippet'
+import { Check, Copy, Download } from 'lucide-react'
+
+/**
+ * "Export for docs": a Markdown or HTML snippet for the current page (or
+ * every page) next to the image download it refers to. `snippet` is
+ * built by the caller from `options`; images are downloaded as
+ * `imageFormat` with the settings of the export dialog.
+ */
+export function DocsExportDialog({
+  open,
+  onOpenChange,
+  pageCount = 1,
+  options,
+  onOptionsChange,
+  snippet,
+  imageFormat,
+  copied,
+  onCopy,
+  onDownload,
+}) {
+  const update = (changes) => onOptionsChange({ ...options, ...changes })
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Export for docs</DialogTitle>
+          <DialogDescription>
+            Download the image and paste the snippet into your docs. It has alt text, the labeled markers as
+            numbered steps and the text annotations as notes.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-2">
+            {SNIPPET_SYNTAXES.map((syntax) => (
+              <Button
+                key={syntax.id}
+                size="sm"
+                variant={options.syntax === syntax.id ? 'default' : 'outline'}
+                onClick={() => update({ syntax: syntax.id })}
+              >
+                {syntax.label}
+              </Button>
+            ))}
+            {pageCount > 1 && (
+              <label className="ml-auto flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={options.allPages}
+                  onChange={(e) => update({ allPages: e.target.checked })}
+                />
+                All {pageCount} pages
+              </label>
+            )}
+          </div>
+
+          <label className="block space-y-1.5">
+            <span className="text-sm font-medium">Image path</span>
+            <input
+              value={options.pathTemplate}
+              onChange={(e) => update({ pathTemplate: e.target.value })}
+              className="h-8 w-full rounded-md border border-input bg-background px-2 font-mono text-sm"
+              spellCheck={false}
+            />
+            <span className="block text-xs text-muted-foreground">
+              {PATH_PLACEHOLDERS.map((p) => `${p.token}: ${p.description}`).join(' · ')}
+            </span>
+          </label>
+
+          <textarea
+            readOnly
+            value={snippet}
+            rows={12}
+            onFocus={(e) => e.target.select()}
+            className="w-full resize-none rounded-md border border-input bg-muted p-3 font-mono text-xs"
+            aria-label="Snippet"
+          />
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onDownload}>
+            <Download className="w-4 h-4 mr-2" />
+            {options.allPages && pageCount > 1 ? `Download ${imageFormat} images (ZIP)` : `Download ${imageFormat}`}
+          </Button>
+          <Button onClick={onCopy}>
+            {copied ? <Check className="w-4 h-4 mr-2" /> : <Copy className="w-4 h-4 mr-2" />}
+            {copied ? 'Copied' : 'Copy snippet'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
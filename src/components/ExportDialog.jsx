@@ -0,0 +1,221 @@
+import { Button } from '@/components/ui/button'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { useEffect, useState } from 'react'
+import {
+  EXPORT_FORMATS,
+  EXPORT_SCALES,
+  exportFormat,
+  formatFileSize,
+  measureExport,
+} from '@/lib/export'
+import { Download } from 'lucide-react'
+
+function OptionGroup({ label, children }) {
+  return (
+    <div className="space-y-2">
+      <div className="text-sm font-medium">{label}</div>
+      <div className="flex flex-wrap items-center gap-2">{children}</div>
+    </div>
+  )
+}
+
+// Delay before re-encoding for the size estimate while options change
+const ESTIMATE_DELAY_MS = 300
+
+/**
+ * Export settings with a live preview of the output pixel size and an
+ * estimated file size, both for the current page. `contentRect` is the
+ * canvas content bounding box measured when the dialog was opened;
+ * `estimateSize(options)` resolves with the encoded size in bytes.
+ */
+export function ExportDialog({
+  open,
+  onOpenChange,
+  imageSize,
+  pageCount = 1,
+  contentRect,
+  options,
+  onOptionsChange,
+  estimateSize,
+  onExport,
+}) {
+  const [estimate, setEstimate] = useState(null)
+  const update = (changes) => onOptionsChange({ ...options, ...changes })
+  const output = imageSize && measureExport(imageSize, contentRect, options)
+  const format = exportFormat(options.format)
+
+  // Encoding a large export takes a moment, so debounce it
+  useEffect(() => {
+    if (!open) return
+    let cancelled = false
+    const timer = setTimeout(() => {
+      setEstimate(null)
+      estimateSize(options)
+        .then((bytes) => !cancelled && setEstimate(bytes))
+        .catch(() => !cancelled && setEstimate(null))
+    }, ESTIMATE_DELAY_MS)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [open, options, estimateSize])
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Export image</DialogTitle>
+          <DialogDescription>
+            Exports are cropped to the image and sized from its original resolution.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-5">
+          {pageCount > 1 && (
+            <OptionGroup label="Pages">
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={options.allPages}
+                  onChange={(e) => update({ allPages: e.target.checked })}
+                />
+                Export all {pageCount} pages as a ZIP
+              </label>
+            </OptionGroup>
+          )}
+
+          <OptionGroup label="Format">
+            {EXPORT_FORMATS.map((f) => (
+              <Button
+                key={f.id}
+                size="sm"
+                variant={options.format === f.id ? 'default' : 'outline'}
+                onClick={() => update({ format: f.id })}
+              >
+                {f.label}
+              </Button>
+            ))}
+          </OptionGroup>
+
+          {format.lossy && (
+            <OptionGroup label="Quality">
+              <input
+                type="range"
+                min={0.1}
+                max={1}
+                step={0.05}
+                value={options.quality}
+                onChange={(e) => update({ quality: Number(e.target.value) })}
+                className="flex-1"
+                aria-label="Quality"
+              />
+              <span className="w-10 text-right text-sm font-mono tabular-nums">
+                {Math.round(options.quality * 100)}
+              </span>
+            </OptionGroup>
+          )}
+
+          <OptionGroup label="Size">
+            {EXPORT_SCALES.map((scale) => (
+              <Button
+                key={scale}
+                size="sm"
+                variant={!options.maxWidth && options.scale === scale ? 'default' : 'outline'}
+                onClick={() => update({ scale, maxWidth: null })}
+              >
+                {scale}x
+              </Button>
+            ))}
+            <Button
+              size="sm"
+              variant={options.maxWidth ? 'default' : 'outline'}
+              onClick={() => update({ maxWidth: options.maxWidth || imageSize?.width || 1200 })}
+            >
+              Max width
+            </Button>
+            {options.maxWidth && (
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="number"
+                  min={1}
+                  value={options.maxWidth}
+                  onChange={(e) => update({ maxWidth: Math.max(1, Number(e.target.value) || 1) })}
+                  className="h-8 w-24 rounded-md border border-input bg-background px-2 text-sm"
+                />
+                px
+              </label>
+            )}
+          </OptionGroup>
+
+          <OptionGroup label="Bounds">
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={options.includeOverhang}
+                onChange={(e) => update({ includeOverhang: e.target.checked })}
+              />
+              Include annotations that extend past the image edge
+            </label>
+          </OptionGroup>
+
+          <OptionGroup label="Background">
+            <Button
+              disabled={!format.alpha}
+              size="sm"
+              variant={options.background === 'transparent' && format.alpha ? 'default' : 'outline'}
+              onClick={() => update({ background: 'transparent' })}
+            >
+              Transparent
+            </Button>
+            <Button
+              size="sm"
+              variant={options.background === 'opaque' || !format.alpha ? 'default' : 'outline'}
+              onClick={() => update({ background: 'opaque' })}
+            >
+              Opaque
+            </Button>
+            {(options.background === 'opaque' || !format.alpha) && (
+              <input
+                type="color"
+                value={options.backgroundColor}
+                onChange={(e) => update({ backgroundColor: e.target.value })}
+                className="h-8 w-10 cursor-pointer rounded-md border border-input bg-background"
+                aria-label="Background color"
+              />
+            )}
+          </OptionGroup>
+
+          {output && (
+            <div className="rounded-md bg-muted px-3 py-2 text-sm">
+              {pageCount > 1 ? 'This page:' : 'Output size:'}{' '}
+              <span className="font-mono font-semibold">
+                {output.width} × {output.height} px
+              </span>
+              <span className="text-muted-foreground">
+                {' · '}
+                {estimate === null ? 'estimating…' : `~${formatFileSize(estimate)}`}
+              </span>
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={onExport}>
+            <Download className="w-4 h-4 mr-2" />
+            {options.allPages && pageCount > 1 ? `Download ${pageCount} × ${format.label} (ZIP)` : `Download ${format.label}`}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,114 @@
+import { useRef, useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Plus, X } from 'lucide-react'
+
+/**
+ * Page strip of a guide. Thumbnails can be dragged to reorder pages; the
+ * current page's name is editable and used in export filenames.
+ */
+export function Filmstrip({ pages, currentPageId, onSelect, onReorder, onDelete, onRename, onAddFiles }) {
+  const [dragId, setDragId] = useState(null)
+  const [dropIndex, setDropIndex] = useState(null)
+  const fileInputRef = useRef(null)
+  const current = pages.find((page) => page.id === currentPageId)
+
+  const handleDrop = () => {
+    if (dragId !== null && dropIndex !== null) {
+      onReorder(dragId, dropIndex)
+    }
+    setDragId(null)
+    setDropIndex(null)
+  }
+
+  return (
+    <div className="flex items-center gap-3 border-t bg-card px-4 py-2">
+      <div className="flex flex-1 items-center gap-2 overflow-x-auto py-1">
+        {pages.map((page, index) => (
+          <div
+            key={page.id}
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.effectAllowed = 'move'
+              setDragId(page.id)
+            }}
+            onDragOver={(e) => {
+              e.preventDefault()
+              setDropIndex(index)
+            }}
+            onDrop={handleDrop}
+            onDragEnd={() => {
+              setDragId(null)
+              setDropIndex(null)
+            }}
+            onClick={() => onSelect(page.id)}
+            onKeyDown={(e) => {
+              if (e.target !== e.currentTarget || (e.key !== 'Enter' && e.key !== ' ')) return
+              e.preventDefault()
+              onSelect(page.id)
+            }}
+            role="button"
+            tabIndex={0}
+            aria-label={`Page ${index + 1}, ${page.name}`}
+            aria-current={page.id === currentPageId ? 'page' : undefined}
+            title={page.name}
+            className={[
+              'group relative h-16 w-24 shrink-0 cursor-pointer overflow-hidden rounded-md border-2 bg-muted outline-none focus-visible:ring-2 focus-visible:ring-ring',
+              page.id === currentPageId ? 'border-primary' : 'border-transparent hover:border-muted-foreground/40',
+              dropIndex === index && dragId !== page.id ? 'border-dashed border-primary' : '',
+            ].join(' ')}
+          >
+            <img src={page.image.src} alt={page.name} className="h-full w-full object-contain" draggable={false} />
+            <span className="absolute left-1 top-1 rounded bg-background/90 px-1 text-[10px] font-mono font-semibold">
+              {index + 1}
+            </span>
+            {pages.length > 1 && (
+              <button
+                type="button"
+                className="absolute right-1 top-1 hidden rounded bg-background/90 p-0.5 outline-none group-hover:block group-focus-within:block focus-visible:ring-2 focus-visible:ring-ring"
+                title="Remove page"
+                aria-label={`Remove page ${index + 1}`}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onDelete(page.id)
+                }}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            )}
+          </div>
+        ))}
+        <Button
+          variant="outline"
+          className="h-16 w-16 shrink-0"
+          title="Add pages"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          <Plus className="w-5 h-5" />
+          <span className="sr-only">Add pages</span>
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          multiple
+          onChange={(e) => {
+            onAddFiles([...e.target.files])
+            e.target.value = ''
+          }}
+          className="hidden"
+        />
+      </div>
+
+      {current && (
+        <label className="flex shrink-0 items-center gap-2 text-xs text-muted-foreground">
+          Page name
+          <input
+            value={current.name}
+            onChange={(e) => onRename(current.id, e.target.value)}
+            className="h-8 w-40 rounded-md border border-input bg-background px-2 text-sm text-foreground"
+          />
+        </label>
+      )}
+    </div>
+  )
+}
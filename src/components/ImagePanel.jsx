@@ -0,0 +1,171 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { ASPECT_RATIOS, DEFAULT_PADDING, aspectRatio } from '@/lib/crop'
+import { Check, Crop, Frame, Image as ImageIcon, Scissors, X } from 'lucide-react'
+
+const INPUT_CLASS = 'h-7 w-full rounded-md border border-input bg-background px-1.5 text-xs'
+
+// A number typed into it only counts once the field loses focus or Enter
+// is pressed, so clamping doesn't fight the typing
+function NumberField({ label, value, onCommit }) {
+  const [draft, setDraft] = useState(null)
+  const commit = () => {
+    const number = Number(draft)
+    if (draft !== null && draft.trim() !== '' && Number.isFinite(number)) onCommit(number)
+    setDraft(null)
+  }
+  return (
+    <label className="space-y-1 text-xs text-muted-foreground">
+      <span>{label}</span>
+      <input
+        type="number"
+        value={draft ?? value}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.target.blur()
+        }}
+        className={INPUT_CLASS}
+      />
+    </label>
+  )
+}
+
+function CropOptions({ crop, imageSize, onChange, onAspectChange, onApply, onCancel }) {
+  const { rect, aspect } = crop
+  const ratio = aspectRatio(aspect, imageSize)
+  // With a locked ratio, the other side follows the one typed in
+  const setWidth = (width) => onChange(ratio ? { ...rect, width, height: width / ratio } : { ...rect, width })
+  const setHeight = (height) => onChange(ratio ? { ...rect, height, width: height * ratio } : { ...rect, height })
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-1.5">
+        <div className="text-xs text-muted-foreground">Aspect ratio</div>
+        <div className="flex flex-wrap gap-1.5">
+          {ASPECT_RATIOS.map((option) => (
+            <Button
+              key={option.id}
+              size="sm"
+              variant={aspect === option.id ? 'default' : 'outline'}
+              className="h-7 px-2 text-xs"
+              onClick={() => onAspectChange(option.id)}
+            >
+              {option.label}
+            </Button>
+          ))}
+        </div>
+      </div>
+      <div className="grid grid-cols-4 gap-1.5">
+        <NumberField label="X" value={rect.x} onCommit={(x) => onChange({ ...rect, x })} />
+        <NumberField label="Y" value={rect.y} onCommit={(y) => onChange({ ...rect, y })} />
+        <NumberField label="Width" value={rect.width} onCommit={setWidth} />
+        <NumberField label="Height" value={rect.height} onCommit={setHeight} />
+      </div>
+      <div className="flex gap-2">
+        <Button size="sm" className="flex-1" onClick={onApply}>
+          <Check className="w-4 h-4 mr-2" />
+          Apply Crop
+        </Button>
+        <Button size="sm" variant="outline" className="flex-1" onClick={onCancel}>
+          <X className="w-4 h-4 mr-2" />
+          Cancel
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Crop, trim and pad the current page's base image (see @/lib/crop).
+ * `crop` is `{ rect, aspect }` while the crop frame is shown on the
+ * canvas, or null. Trimming resolves to false when the image has no
+ * uniform border to remove.
+ */
+export function ImagePanel({
+  imageSize,
+  crop,
+  onStartCrop,
+  onCropChange,
+  onAspectChange,
+  onApplyCrop,
+  onCancelCrop,
+  onTrim,
+  onPad,
+  busy,
+}) {
+  const [padding, setPadding] = useState(DEFAULT_PADDING)
+  const [notice, setNotice] = useState(null)
+
+  const handleTrim = async () => {
+    const trimmed = await onTrim()
+    setNotice(trimmed ? null : 'No uniform border to trim')
+  }
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm flex items-center gap-2">
+          <ImageIcon className="w-4 h-4" />
+          Image
+          <span className="ml-auto text-xs font-normal text-muted-foreground tabular-nums">
+            {imageSize.width} × {imageSize.height}
+          </span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {crop ? (
+          <CropOptions
+            crop={crop}
+            imageSize={imageSize}
+            onChange={onCropChange}
+            onAspectChange={onAspectChange}
+            onApply={onApplyCrop}
+            onCancel={onCancelCrop}
+          />
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              <Button size="sm" variant="outline" onClick={onStartCrop} disabled={busy}>
+                <Crop className="w-4 h-4 mr-2" />
+                Crop…
+              </Button>
+              <Button size="sm" variant="outline" onClick={handleTrim} disabled={busy} title="Remove solid-color edges">
+                <Scissors className="w-4 h-4 mr-2" />
+                Auto-trim
+              </Button>
+            </div>
+            {notice && <p className="text-xs text-muted-foreground">{notice}</p>}
+            <div className="flex items-end gap-1.5">
+              <label className="flex-1 space-y-1 text-xs text-muted-foreground">
+                <span>Padding (px)</span>
+                <input
+                  type="number"
+                  min={1}
+                  value={padding.size}
+                  onChange={(e) => setPadding({
+                    ...padding,
+                    size: Math.max(1, Math.floor(Number(e.target.value)) || 1),
+                  })}
+                  className={INPUT_CLASS}
+                />
+              </label>
+              <input
+                type="color"
+                value={padding.color}
+                onChange={(e) => setPadding({ ...padding, color: e.target.value })}
+                className="h-7 w-9 shrink-0 cursor-pointer rounded-md border border-input bg-background p-0.5"
+                aria-label="Padding color"
+              />
+              <Button size="sm" variant="outline" className="h-7" onClick={() => onPad(padding)} disabled={busy}>
+                <Frame className="w-4 h-4 mr-2" />
+                Add
+              </Button>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
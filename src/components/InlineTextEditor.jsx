@@ -0,0 +1,82 @@
+import { useEffect, useRef, useState } from 'react'
+import { FONT_FAMILY } from '@/lib/annotationStyles'
+
+/**
+ * Textarea overlaid on the canvas to edit a text annotation or marker
+ * label in place. `layout(value)` returns the box in container pixels
+ * (left, top, width, height, rotation, lineCount, align, fontSize,
+ * lineHeight, padding, borderWidth, borderColor, cornerRadius, fill,
+ * color) so the editor can grow with the text exactly like the Konva box
+ * it covers. `label` names the field for screen readers.
+ *
+ * Enter commits, Shift+Enter inserts a line break, Escape cancels.
+ * Clicking elsewhere commits.
+ */
+export function InlineTextEditor({ initialValue, label, layout, onCommit, onCancel }) {
+  const [value, setValue] = useState(initialValue)
+  const textareaRef = useRef(null)
+  // Enter and Escape unmount the editor; the blur that may follow must not
+  // finish it a second time
+  const doneRef = useRef(false)
+
+  useEffect(() => {
+    const textarea = textareaRef.current
+    textarea.focus()
+    textarea.select()
+  }, [])
+
+  const finish = (commit) => {
+    if (doneRef.current) return
+    doneRef.current = true
+    if (commit) {
+      onCommit(value)
+    } else {
+      onCancel()
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault()
+      finish(false)
+    } else if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault()
+      finish(true)
+    }
+  }
+
+  const box = layout(value)
+  // Center the lines vertically, as Konva's verticalAlign="middle" does
+  const paddingY = Math.max(0, (box.height - box.lineCount * box.fontSize * box.lineHeight) / 2 - box.borderWidth)
+
+  return (
+    <textarea
+      ref={textareaRef}
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onKeyDown={handleKeyDown}
+      onBlur={() => finish(true)}
+      spellCheck={false}
+      aria-label={label}
+      className="absolute m-0 resize-none overflow-hidden whitespace-pre-wrap break-words outline-none"
+      style={{
+        left: box.left,
+        top: box.top,
+        width: box.width,
+        height: box.height,
+        transform: box.rotation ? `rotate(${box.rotation}deg)` : undefined,
+        transformOrigin: 'top left',
+        boxSizing: 'border-box',
+        padding: `${paddingY}px ${Math.max(0, box.padding - box.borderWidth)}px`,
+        border: `${box.borderWidth}px solid ${box.borderColor}`,
+        borderRadius: box.cornerRadius,
+        background: box.fill,
+        color: box.color,
+        fontFamily: `${FONT_FAMILY}, sans-serif`,
+        fontSize: box.fontSize,
+        lineHeight: box.lineHeight,
+        textAlign: box.align,
+      }}
+    />
+  )
+}
@@ -1,6 +1,49 @@
-import React, { useEffect, useRef, useState } from 'react'
-import { Stage, Layer, Image as KonvaImage, Circle, Rect, Text, Group } from 'react-konva'
+import React, { useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react'
+import { Stage, Layer, Group, Image as KonvaImage, Arrow, Circle, Line, Rect, Shape, Transformer } from 'react-konva'
 import useImage from 'use-image'
+import { Minus, Plus } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { flushSync } from 'react-dom'
+import { createAnnotationId, moveAnnotation, withGroups } from '@/lib/annotations'
+import { annotationName, describeAnnotation, formatPoint } from '@/lib/accessibility'
+import { markerNumbers } from '@/lib/numbering'
+import {
+  DEFAULT_STYLE,
+  MARKER_LABEL,
+  TEXT_BOX,
+  markerLabelLayout,
+  styleFor,
+  textBoxLayout,
+} from '@/lib/annotationStyles'
+import { isShortcutBlocked, nudgeDelta } from '@/lib/keymap'
+import { renderStage } from '@/lib/export'
+import { legendLayout, outputSize } from '@/lib/legend'
+import { MAGNIFIER, defaultLensTarget } from '@/lib/magnifier'
+import {
+  DEFAULT_SNAPPING,
+  SNAP,
+  annotationBounds,
+  annotationsInBox,
+  snapBox,
+  snapLines,
+  snapPoint,
+} from '@/lib/snapping'
+import { DEFAULT_REDACTION_MODE, isRedaction, renderRedactedImage } from '@/lib/redaction'
+import { DEFAULT_SPOTLIGHT, renderSpotlight, spotlightRegions } from '@/lib/spotlight'
+import {
+  ArrowAnnotation,
+  CircleAnnotation,
+  LeaderLine,
+  MagnifierAnnotation,
+  NumberMarker,
+  RectAnnotation,
+  RedactAnnotation,
+  TextAnnotation,
+} from '@/components/annotations'
+import { VIEW_PRESETS, glyphScaleFor, presetView, zoomAt } from '@/lib/viewport'
+import { InlineTextEditor } from '@/components/InlineTextEditor'
+import { StepLegend } from '@/components/StepLegend'
+import { CropFrame } from '@/components/CropFrame'
 
 /**
  * Canvas Library Choice: Konva + react-konva
@@ -16,419 +59,1057 @@ import useImage from 'use-image'
  * - Fabric.js: More features but less React-idiomatic
  * - tldraw: Too opinionated for our use case, harder to constrain
  * - Custom canvas: Too brittle for complex interactions
- * 
- * Note on colors:
- * - Annotation colors are hardcoded because Konva renders to canvas
- * - Canvas needs actual color values, not CSS variables
- * - These colors are chosen to be visible in both light and dark modes
- * - They're optimized for documentation screenshots and printing
+ *
+ * Each annotation type is drawn by a component in ./annotations; styles
+ * and geometry live in @/lib/annotationStyles, shared with the SVG
+ * exporter.
  */
 
-const ANNOTATION_STYLES = {
-  primary: {
-    fill: '#3b82f6',      // Blue - high contrast for numbered markers
-    stroke: '#2563eb',    // Darker blue for borders
-    textColor: '#ffffff', // White text for readability
-  },
-  warning: {
-    fill: '#f59e0b',      // Amber - for highlighting/attention
-    stroke: '#d97706',    // Darker amber for borders
-    textColor: '#ffffff', // White text for readability
-  },
-  info: {
-    fill: '#06b6d4',      // Cyan - for informational highlights
-    stroke: '#0891b2',    // Darker cyan for borders
-    textColor: '#ffffff', // White text for readability
-  },
+// Zoom factor of one zoom-in/zoom-out step
+const ZOOM_STEP = 1.25
+// How strongly wheel deltas translate into zoom
+const WHEEL_ZOOM_SPEED = 0.0015
+// Edit handle radius in screen pixels
+const HANDLE_RADIUS = 7
+// Smallest box the transformer can resize to, in screen pixels
+const MIN_TRANSFORM_SIZE = 8
+// Keyboard cursor step in image pixels, and with Shift for long moves
+// (Shift makes nudges larger too)
+const CURSOR_STEP = 10
+const CURSOR_LARGE_STEP = 50
+// Keyboard cursor crosshair arm length, in screen pixels
+const CURSOR_SIZE = 12
+// Snap lines when only the grid is on
+const NO_SNAP_LINES = { x: [], y: [] }
+const MARQUEE = { fill: 'rgba(59,130,246,0.1)', stroke: '#3b82f6' }
+
+// Marquee drag as a box, whichever way it was dragged
+function marqueeBox({ start, end }) {
+  return {
+    x: Math.min(start.x, end.x),
+    y: Math.min(start.y, end.y),
+    width: Math.abs(end.x - start.x),
+    height: Math.abs(end.y - start.y),
+  }
 }
 
-function NumberMarker({ annotation, isSelected, onSelect, onChange }) {
-  const style = ANNOTATION_STYLES[annotation.style || 'primary']
-  
-  return (
-    <Group
-      x={annotation.x}
-      y={annotation.y}
-      draggable
-      onClick={onSelect}
-      onTap={onSelect}
-      onDragEnd={(e) => {
-        onChange({
-          ...annotation,
-          x: e.target.x(),
-          y: e.target.y(),
-        })
-      }}
-    >
-      <Circle
-        radius={24}
-        fill={style.fill}
-        stroke={isSelected ? '#ffffff' : style.stroke}
-        strokeWidth={isSelected ? 4 : 2}
-        shadowColor="rgba(0,0,0,0.3)"
-        shadowBlur={4}
-        shadowOffset={{ x: 0, y: 2 }}
-      />
-      <Text
-        text={annotation.number.toString()}
-        fontSize={18}
-        fontStyle="bold"
-        fill={style.textColor}
-        width={48}
-        height={48}
-        offsetX={24}
-        offsetY={24}
-        align="center"
-        verticalAlign="middle"
-      />
-      {annotation.label && (
-        <Group x={32} y={-12}>
-          <Rect
-            width={Math.max(annotation.label.length * 8 + 16, 80)}
-            height={32}
-            fill="rgba(255,255,255,0.95)"
-            stroke={style.stroke}
-            strokeWidth={2}
-            cornerRadius={4}
-            shadowColor="rgba(0,0,0,0.2)"
-            shadowBlur={3}
-            shadowOffset={{ x: 0, y: 1 }}
-          />
-          <Text
-            text={annotation.label}
-            fontSize={14}
-            fill="#1f2937"
-            padding={8}
-            width={Math.max(annotation.label.length * 8 + 16, 80)}
-            height={32}
-            verticalAlign="middle"
-          />
-        </Group>
-      )}
-    </Group>
-  )
+// Annotation types resized through the transformer, with their settings.
+// Konva's transformer keeps the aspect ratio while Shift is held (with
+// keepRatio off) and resizes from the center while Alt is held. Circles
+// and arrows have their own handles instead.
+const TRANSFORMABLE = {
+  rect: { rotateEnabled: false },
+  redact: { rotateEnabled: false },
+  text: { rotateEnabled: true },
+  // The magnifier's region; its lens keeps the zoom
+  magnifier: { rotateEnabled: false },
 }
 
-function TextAnnotation({ annotation, isSelected, onSelect, onChange }) {
-  const textWidth = Math.max(annotation.text.length * 9 + 16, 100)
-  
-  return (
-    <Group
-      x={annotation.x}
-      y={annotation.y}
-      draggable
-      onClick={onSelect}
-      onTap={onSelect}
-      onDragEnd={(e) => {
-        onChange({
-          ...annotation,
-          x: e.target.x(),
-          y: e.target.y(),
-        })
-      }}
-    >
-      <Rect
-        width={textWidth}
-        height={36}
-        fill={isSelected ? 'rgba(59, 130, 246, 0.95)' : 'rgba(255,255,255,0.95)'}
-        stroke="#3b82f6"
-        strokeWidth={2}
-        cornerRadius={4}
-        shadowColor="rgba(0,0,0,0.2)"
-        shadowBlur={3}
-        shadowOffset={{ x: 0, y: 1 }}
-      />
-      <Text
-        text={annotation.text}
-        fontSize={16}
-        fill={isSelected ? '#ffffff' : '#1f2937'}
-        padding={8}
-        width={textWidth}
-        height={36}
-        verticalAlign="middle"
-      />
-    </Group>
-  )
+// Tools that draw a shape between two corners
+const SHAPE_TOOLS = ['rect', 'circle', 'arrow', 'redact', 'magnifier']
+// Shape tools drawn as a box between the two corners
+const BOX_TOOLS = ['rect', 'redact', 'magnifier']
+
+const ADD_LABELS = {
+  marker: 'Add marker',
+  text: 'Add text',
+  rect: 'Add rectangle',
+  circle: 'Add circle',
+  arrow: 'Add arrow',
+  redact: 'Add redaction',
+  magnifier: 'Add magnifier',
 }
 
-function RectAnnotation({ annotation, isSelected, onSelect, onChange }) {
-  const style = ANNOTATION_STYLES[annotation.style || 'warning']
-  
-  return (
-    <Rect
-      x={annotation.x}
-      y={annotation.y}
-      width={annotation.width}
-      height={annotation.height}
-      stroke={isSelected ? '#ef4444' : style.stroke}
-      strokeWidth={3}
-      dash={[8, 4]}
-      draggable
-      onClick={onSelect}
-      onTap={onSelect}
-      onDragEnd={(e) => {
-        onChange({
-          ...annotation,
-          x: e.target.x(),
-          y: e.target.y(),
-        })
-      }}
-    />
-  )
+/**
+ * The annotation a finished drag (or pair of keyboard corners) draws on
+ * an image of `imageSize`, or null when it is too small to be intended.
+ */
+function shapeAnnotation(shape, imageSize) {
+  if (shape.type === 'rect' && shape.width > 10 && shape.height > 10) {
+    return {
+      id: createAnnotationId('rect'),
+      type: 'rect',
+      x: shape.x,
+      y: shape.y,
+      width: shape.width,
+      height: shape.height,
+      style: DEFAULT_STYLE.rect,
+    }
+  }
+  // Smaller minimum than highlights: a single line of text is short
+  if (shape.type === 'redact' && shape.width > 2 && shape.height > 2) {
+    return {
+      id: createAnnotationId('redact'),
+      type: 'redact',
+      x: shape.x,
+      y: shape.y,
+      width: shape.width,
+      height: shape.height,
+      mode: DEFAULT_REDACTION_MODE,
+    }
+  }
+  // Magnifiers are for small details, so a few pixels are enough
+  if (shape.type === 'magnifier' && shape.width > 4 && shape.height > 4) {
+    const magnifier = {
+      id: createAnnotationId('magnifier'),
+      type: 'magnifier',
+      x: shape.x,
+      y: shape.y,
+      width: shape.width,
+      height: shape.height,
+      zoom: MAGNIFIER.zoom,
+      shape: MAGNIFIER.shape,
+      style: DEFAULT_STYLE.magnifier,
+    }
+    return { ...magnifier, target: defaultLensTarget(magnifier, imageSize) }
+  }
+  if (shape.type === 'circle' && shape.radius > 10) {
+    return {
+      id: createAnnotationId('circle'),
+      type: 'circle',
+      x: shape.startX,
+      y: shape.startY,
+      radius: shape.radius,
+      style: DEFAULT_STYLE.circle,
+    }
+  }
+  if (shape.type === 'arrow' && shape.endX !== undefined) {
+    const end = { x: shape.endX - shape.startX, y: shape.endY - shape.startY }
+    if (Math.hypot(end.x, end.y) > 10) {
+      return {
+        id: createAnnotationId('arrow'),
+        type: 'arrow',
+        x: shape.startX,
+        y: shape.startY,
+        end,
+        mid: null,
+        head: 'triangle',
+        tail: 'none',
+        style: DEFAULT_STYLE.arrow,
+      }
+    }
+  }
+  return null
+}
+
+const ANNOTATION_COMPONENTS = {
+  marker: NumberMarker,
+  text: TextAnnotation,
+  rect: RectAnnotation,
+  circle: CircleAnnotation,
+  arrow: ArrowAnnotation,
+  redact: RedactAnnotation,
+  magnifier: MagnifierAnnotation,
 }
 
-function CircleAnnotation({ annotation, isSelected, onSelect, onChange }) {
-  const style = ANNOTATION_STYLES[annotation.style || 'warning']
-  
+/**
+ * Screen box of the inline editor for a marker label or text annotation
+ * holding `value` and drawn with `style`, in container pixels.
+ */
+function editorLayout(target, style, value, view, glyphScale) {
+  const k = glyphScale * view.scale
+  const toScreen = (x, y) => ({ left: view.x + x * view.scale, top: view.y + y * view.scale })
+
+  if (target.type === 'marker') {
+    const label = markerLabelLayout({ ...target, label: value }, style)
+    return {
+      ...toScreen(target.x + label.x * glyphScale, target.y + label.y * glyphScale),
+      width: label.width * k,
+      height: label.height * k,
+      lineCount: label.lines.length,
+      align: label.align,
+      fontSize: label.fontSize * k,
+      lineHeight: MARKER_LABEL.lineHeight,
+      padding: label.padding * k,
+      borderWidth: MARKER_LABEL.strokeWidth * k,
+      borderColor: style.stroke,
+      cornerRadius: MARKER_LABEL.cornerRadius * k,
+      fill: MARKER_LABEL.fill,
+      color: MARKER_LABEL.textColor,
+    }
+  }
+
+  const layout = textBoxLayout({ ...target, text: value })
+  return {
+    ...toScreen(target.x, target.y),
+    width: layout.width * k,
+    height: layout.height * k,
+    lineCount: layout.lines.length,
+    align: layout.align,
+    rotation: target.rotation,
+    fontSize: layout.fontSize * k,
+    lineHeight: TEXT_BOX.lineHeight,
+    padding: layout.padding * k,
+    borderWidth: style.strokeWidth * k,
+    borderColor: style.stroke,
+    cornerRadius: TEXT_BOX.cornerRadius * k,
+    fill: style.fill,
+    color: style.textColor,
+  }
+}
+
+function ZoomControls({ zoom, mode, onZoomIn, onZoomOut, onPreset }) {
   return (
-    <Circle
-      x={annotation.x}
-      y={annotation.y}
-      radius={annotation.radius}
-      stroke={isSelected ? '#ef4444' : style.stroke}
-      strokeWidth={3}
-      dash={[8, 4]}
-      draggable
-      onClick={onSelect}
-      onTap={onSelect}
-      onDragEnd={(e) => {
-        onChange({
-          ...annotation,
-          x: e.target.x(),
-          y: e.target.y(),
-        })
-      }}
-    />
+    <div className="absolute bottom-3 right-3 flex items-center gap-1 rounded-lg border bg-card/95 p-1 shadow-sm">
+      <Button variant="ghost" size="icon" className="h-7 w-7" onClick={onZoomOut} title="Zoom out">
+        <Minus />
+        <span className="sr-only">Zoom out</span>
+      </Button>
+      <span className="w-12 text-center text-xs font-mono tabular-nums">
+        {Math.round(zoom * 100)}%
+      </span>
+      <Button variant="ghost" size="icon" className="h-7 w-7" onClick={onZoomIn} title="Zoom in">
+        <Plus />
+        <span className="sr-only">Zoom in</span>
+      </Button>
+      {VIEW_PRESETS.map((preset) => (
+        <Button
+          key={preset.mode}
+          variant={mode === preset.mode ? 'secondary' : 'ghost'}
+          size="sm"
+          className="h-7 px-2"
+          onClick={() => onPreset(preset.mode)}
+        >
+          {preset.label}
+        </Button>
+      ))}
+    </div>
   )
 }
 
-export const KonvaCanvas = React.forwardRef(({ image, tool, annotations, setAnnotations }, ref) => {
+export const KonvaCanvas = React.forwardRef(({
+  image,
+  tool,
+  annotations,
+  numbering,
+  presets,
+  legend,
+  onLegendMove,
+  spotlight = DEFAULT_SPOTLIGHT,
+  crop,
+  onCropChange,
+  setAnnotations,
+  onGestureEnd,
+  selectedId,
+  selectedIds = [],
+  setSelectedId,
+  onSelectAlone,
+  onToggleSelect,
+  onSelectMany,
+  snapping = DEFAULT_SNAPPING,
+  onImageReady,
+  onAnnounce,
+}, ref) => {
   const [img] = useImage(image?.src)
-  const [selectedId, setSelectedId] = useState(null)
   const [isDrawing, setIsDrawing] = useState(false)
+  // Inline editor target: `{ id }` of a marker or text annotation, or
+  // `{ x, y }` for a new text annotation that is only added on commit
+  const [editing, setEditing] = useState(null)
   const [tempShape, setTempShape] = useState(null)
-  const stageRef = ref || useRef(null)
+  const stageRef = useRef(null)
+  const transformerRef = useRef(null)
   const containerRef = useRef(null)
   const [dimensions, setDimensions] = useState({ width: 800, height: 600 })
+  // `mode` is a preset ('fit', 'actual', 'fill') recomputed on resize, or
+  // 'custom' once the user zooms or pans by hand
+  const [view, setView] = useState({ mode: 'fit', scale: 1, x: 0, y: 0 })
+  const [isSpacePressed, setIsSpacePressed] = useState(false)
+  const [isPanning, setIsPanning] = useState(false)
+  const panRef = useRef(null)
+  const pinchRef = useRef(null)
+  // Keyboard cursor in image pixels, shown while the canvas has keyboard
+  // focus: arrow keys move it and Enter does what a click would do there
+  // (see handleKeyDown). Changes are reported through `onAnnounce`.
+  const [keyCursor, setKeyCursor] = useState(null)
+  const [hasKeyboardFocus, setHasKeyboardFocus] = useState(false)
+  // Set when the inline editor was opened from the keyboard, so focus
+  // comes back to the canvas when it closes
+  const returnFocusRef = useRef(false)
+  // Snap guide lines shown while dragging or drawing: `{ axis, value }`
+  const [guides, setGuides] = useState([])
+  // Marquee being dragged with the Select tool: `{ start, end, additive }`
+  const [marquee, setMarquee] = useState(null)
+
+  const imageSize = image?.width
+    ? { width: image.width, height: image.height }
+    : img && { width: img.width, height: img.height }
+  // Redactions are baked into the base image, so the stage never holds the
+  // pixels they cover; magnifier lenses are filled from it too. Re-bake it
+  // only when a redaction changes, not on every edit
+  const redactionKey = JSON.stringify(annotations.filter(isRedaction))
+  const baseImage = useMemo(
+    () => img && renderRedactedImage(img, JSON.parse(redactionKey)),
+    [img, redactionKey]
+  )
+  // The spotlight overlay (see @/lib/spotlight), drawn between the base
+  // image and the annotations. Likewise re-rendered only when a
+  // spotlight's geometry or the settings change
+  const spotlightKey = JSON.stringify(spotlightRegions(annotations).map(
+    ({ type, x, y, width, height, radius }) => ({ type, x, y, width, height, radius })
+  ))
+  const imageWidth = imageSize?.width
+  const imageHeight = imageSize?.height
+  const spotlightImage = useMemo(
+    () => imageWidth && renderSpotlight(
+      { width: imageWidth, height: imageHeight },
+      JSON.parse(spotlightKey),
+      { opacity: spotlight.opacity, feather: spotlight.feather }
+    ),
+    [imageWidth, imageHeight, spotlightKey, spotlight.opacity, spotlight.feather]
+  )
+
+  const legendBox = legendLayout({
+    annotations,
+    numbering,
+    presets,
+    imageSize,
+    placement: legend?.placement,
+    position: legend?.position,
+  })
+  // The image plus a docked legend; views and exports frame all of it
+  const pageSize = imageSize && outputSize(imageSize, legendBox)
+
+  // Lets the guide export wait until a page is drawn before rendering it
+  useEffect(() => {
+    if (baseImage) onImageReady?.()
+  }, [baseImage, onImageReady])
+
+  const stageView = view.mode === 'custom' ? view : presetView(view.mode, dimensions, pageSize)
+  // While exporting, editor-only chrome is hidden and glyphs use true size
+  const [isExporting, setIsExporting] = useState(false)
+  const glyphScale = isExporting ? 1 : glyphScaleFor(stageView.scale)
 
   // Update dimensions to match container
   useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+
     const updateSize = () => {
-      if (containerRef.current) {
-        const container = containerRef.current
-        setDimensions({
-          width: container.offsetWidth,
-          height: container.offsetHeight,
-        })
-      }
+      setDimensions({
+        width: container.offsetWidth,
+        height: container.offsetHeight,
+      })
     }
-    
+
     updateSize()
-    window.addEventListener('resize', updateSize)
-    return () => window.removeEventListener('resize', updateSize)
+    const observer = new ResizeObserver(updateSize)
+    observer.observe(container)
+    return () => observer.disconnect()
   }, [])
 
+  const selected = annotations.find((a) => a.id === selectedId)
+  const isEditable = selected && !selected.hidden && !selected.locked
+  const transformConfig = !isExporting && isEditable && TRANSFORMABLE[selected.type]
+
+  // Attach the transformer to the selected annotation's node
+  useEffect(() => {
+    const transformer = transformerRef.current
+    if (!transformer) return
+    const node = transformConfig && stageRef.current.findOne(`#${selectedId}`)
+    transformer.nodes(node ? [node] : [])
+  }, [selectedId, transformConfig])
+
+  // Each new image starts fitted to the view
+  useEffect(() => {
+    setView({ mode: 'fit', scale: 1, x: 0, y: 0 })
+  }, [image?.src])
+
+  // Hold space to pan
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code !== 'Space' || isShortcutBlocked(e.target)) return
+      e.preventDefault()
+      setIsSpacePressed(true)
+    }
+    const handleKeyUp = (e) => {
+      if (e.code === 'Space') setIsSpacePressed(false)
+    }
+    const handleBlur = () => setIsSpacePressed(false)
+
+    window.addEventListener('keydown', handleKeyDown)
+    window.addEventListener('keyup', handleKeyUp)
+    window.addEventListener('blur', handleBlur)
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown)
+      window.removeEventListener('keyup', handleKeyUp)
+      window.removeEventListener('blur', handleBlur)
+    }
+  }, [])
+
+  const zoomBy = (factor, point = { x: dimensions.width / 2, y: dimensions.height / 2 }) => {
+    setView({ mode: 'custom', ...zoomAt(stageView, point, factor) })
+  }
+
+  // Synchronously re-renders the stage in export mode with an identity
+  // transform (stage coordinates = image pixels), runs `fn`, then restores
+  const withExportMode = (fn) => {
+    const stage = stageRef.current
+    flushSync(() => setIsExporting(true))
+    stage.scale({ x: 1, y: 1 })
+    stage.position({ x: 0, y: 0 })
+    try {
+      return fn(stage)
+    } finally {
+      stage.scale({ x: stageView.scale, y: stageView.scale })
+      stage.position({ x: stageView.x, y: stageView.y })
+      flushSync(() => setIsExporting(false))
+    }
+  }
+
+  useImperativeHandle(ref, () => ({
+    getStage: () => stageRef.current,
+    // Bounding box of everything drawn, in image pixels
+    getContentRect: () => withExportMode((stage) => stage.getLayers()[0].getClientRect()),
+    renderToCanvas: (options) => withExportMode((stage) => renderStage(stage, pageSize, options)),
+    // Export size at 1x before cropping options, in image pixels
+    getOutputSize: () => pageSize,
+    // Redacted, metadata-free base image for the SVG export
+    getImageDataURL: () => baseImage?.toDataURL('image/png') ?? null,
+    zoomIn: () => zoomBy(ZOOM_STEP),
+    zoomOut: () => zoomBy(1 / ZOOM_STEP),
+    setViewMode: (mode) => setView({ mode, scale: 1, x: 0, y: 0 }),
+  }))
+
+  const handleWheel = (e) => {
+    e.evt.preventDefault()
+    const pointer = e.target.getStage().getPointerPosition()
+    if (!pointer) return
+    // Trackpad pinch arrives as a wheel event with ctrlKey and small deltas
+    zoomBy(Math.exp(-e.evt.deltaY * WHEEL_ZOOM_SPEED), pointer)
+  }
+
+  const startPan = (e) => {
+    panRef.current = {
+      clientX: e.evt.clientX,
+      clientY: e.evt.clientY,
+      view: stageView,
+    }
+    setIsPanning(true)
+  }
+
+  // A drag of a selected annotation moves the whole selection, and one of
+  // a grouped annotation its whole group
+  const movingIds = (id) => (selectedIds.includes(id) ? selectedIds : withGroups(annotations, [id]))
+
+  const boundsOf = (annotation) => annotationBounds(annotation, styleFor(annotation, presets), glyphScale)
+
+  // Snap settings for a pointer event, or null when snapping is off or
+  // Ctrl/Cmd is held
+  const snapOptions = (evt, excludeIds = []) => {
+    const gridSize = snapping.grid ? snapping.gridSize : null
+    if (evt.ctrlKey || evt.metaKey || (!snapping.objects && !gridSize)) return null
+    return {
+      lines: snapping.objects
+        ? snapLines(annotations.filter((a) => !excludeIds.includes(a.id)), imageSize, boundsOf)
+        : NO_SNAP_LINES,
+      threshold: SNAP.distance / stageView.scale,
+      gridSize,
+    }
+  }
+
+  // Where a dragged annotation lands
+  const snapDrag = (annotation, position, evt) => {
+    const options = snapOptions(evt, movingIds(annotation.id))
+    if (!options) {
+      setGuides([])
+      return position
+    }
+    const { dx, dy, guides: next } = snapBox(
+      boundsOf({ ...annotation, ...position }),
+      options.lines,
+      options.threshold,
+      options.gridSize
+    )
+    setGuides(next)
+    return { x: position.x + dx, y: position.y + dy }
+  }
+
+  // Where a point placed or drawn to with the pointer lands
+  const snapDrawPoint = (point, evt) => {
+    const options = snapOptions(evt)
+    if (!options) {
+      setGuides([])
+      return point
+    }
+    const snapped = snapPoint(point, options.lines, options.threshold, options.gridSize)
+    setGuides(snapped.guides)
+    return snapped.point
+  }
+
   const handleStageClick = (e) => {
-    // Click on empty area
-    if (e.target === e.target.getStage()) {
+    // Click on empty area; the Select tool already did this on mouse down
+    if (e.target === e.target.getStage() && tool !== 'select') {
       setSelectedId(null)
     }
   }
 
   const handleStageMouseDown = (e) => {
+    // Space + drag or middle button pans the view
+    if (isSpacePressed || e.evt.button === 1) {
+      startPan(e)
+      return
+    }
+
     // Only handle if clicking on the stage background (not on an annotation)
-    if (e.target !== e.target.getStage()) return
-    
-    const stage = e.target.getStage()
-    const pointerPosition = stage.getPointerPosition()
-    
+    if (crop || e.target !== e.target.getStage()) return
+
+    if (tool === 'select') {
+      const point = e.target.getStage().getRelativePointerPosition()
+      const additive = e.evt.shiftKey || e.evt.ctrlKey || e.evt.metaKey
+      if (!additive) setSelectedId(null)
+      setMarquee({ start: point, end: point, additive })
+      return
+    }
+
+    // Keep focus off the canvas so the label editor can take it
+    if (tool === 'marker' || tool === 'text') e.evt.preventDefault()
+    // Annotations are stored in image pixels
+    startAnnotation(snapDrawPoint(e.target.getStage().getRelativePointerPosition(), e.evt))
+  }
+
+  const addAnnotation = (annotation) => {
+    const next = [...annotations, annotation]
+    setAnnotations(next, { label: ADD_LABELS[annotation.type] })
+    const number = markerNumbers(next, numbering).get(annotation.id)
+    onAnnounce?.(`${annotationName(annotation, number)} added at ${formatPoint(annotation)}`)
+  }
+
+  // What a click on empty canvas at `point` does with the current tool
+  const startAnnotation = (point) => {
     setSelectedId(null)
 
     if (tool === 'marker') {
-      const number = annotations.filter(a => a.type === 'marker').length + 1
-      const label = prompt('Enter label for marker (optional):') || ''
-      setAnnotations([
-        ...annotations,
-        {
-          id: `marker-${Date.now()}`,
-          type: 'marker',
-          x: pointerPosition.x,
-          y: pointerPosition.y,
-          number,
-          label,
-          style: 'primary',
-        },
-      ])
+      const id = createAnnotationId('marker')
+      addAnnotation({
+        id,
+        type: 'marker',
+        x: point.x,
+        y: point.y,
+        label: '',
+        style: DEFAULT_STYLE.marker,
+      })
+      setSelectedId(id)
+      setEditing({ id })
     } else if (tool === 'text') {
-      const text = prompt('Enter text:')
-      if (text) {
-        setAnnotations([
-          ...annotations,
-          {
-            id: `text-${Date.now()}`,
-            type: 'text',
-            x: pointerPosition.x,
-            y: pointerPosition.y,
-            text,
-          },
-        ])
-      }
-    } else if (tool === 'rect' || tool === 'circle') {
+      setEditing({ x: point.x, y: point.y })
+    } else if (SHAPE_TOOLS.includes(tool)) {
       setIsDrawing(true)
       setTempShape({
         type: tool,
-        startX: pointerPosition.x,
-        startY: pointerPosition.y,
+        startX: point.x,
+        startY: point.y,
       })
     }
   }
 
-  const handleStageMouseMove = (e) => {
-    if (!isDrawing) return
-    
-    const stage = e.target.getStage()
-    const pointerPosition = stage.getPointerPosition()
-
-    if (tempShape.type === 'rect') {
+  const extendShape = (point) => {
+    if (BOX_TOOLS.includes(tempShape.type)) {
       setTempShape({
         ...tempShape,
-        x: Math.min(pointerPosition.x, tempShape.startX),
-        y: Math.min(pointerPosition.y, tempShape.startY),
-        width: Math.abs(pointerPosition.x - tempShape.startX),
-        height: Math.abs(pointerPosition.y - tempShape.startY),
+        x: Math.min(point.x, tempShape.startX),
+        y: Math.min(point.y, tempShape.startY),
+        width: Math.abs(point.x - tempShape.startX),
+        height: Math.abs(point.y - tempShape.startY),
+      })
+    } else if (tempShape.type === 'arrow') {
+      setTempShape({
+        ...tempShape,
+        endX: point.x,
+        endY: point.y,
       })
     } else if (tempShape.type === 'circle') {
-      const radius = Math.sqrt(
-        Math.pow(pointerPosition.x - tempShape.startX, 2) +
-        Math.pow(pointerPosition.y - tempShape.startY, 2)
-      )
       setTempShape({
         ...tempShape,
-        radius,
+        radius: Math.hypot(point.x - tempShape.startX, point.y - tempShape.startY),
+      })
+    }
+  }
+
+  // Adds the shape being drawn; returns it, or null if it was too small
+  const finishShape = () => {
+    const added = shapeAnnotation(tempShape, imageSize)
+    if (added) addAnnotation(added)
+    setIsDrawing(false)
+    setTempShape(null)
+    return added
+  }
+
+  const handleStageMouseMove = (e) => {
+    if (panRef.current) {
+      const { clientX, clientY, view: start } = panRef.current
+      setView({
+        mode: 'custom',
+        scale: start.scale,
+        x: start.x + e.evt.clientX - clientX,
+        y: start.y + e.evt.clientY - clientY,
       })
+      return
+    }
+    if (marquee) {
+      setMarquee({ ...marquee, end: e.target.getStage().getRelativePointerPosition() })
+      return
     }
+    if (!isDrawing) return
+    extendShape(snapDrawPoint(e.target.getStage().getRelativePointerPosition(), e.evt))
   }
 
   const handleStageMouseUp = () => {
+    panRef.current = null
+    setIsPanning(false)
+    setGuides([])
+    if (marquee) {
+      const box = marqueeBox(marquee)
+      // A plain click on empty canvas only clears the selection
+      if (box.width > 0 || box.height > 0) {
+        onSelectMany?.(annotationsInBox(annotations, box, boundsOf), marquee.additive)
+      }
+      setMarquee(null)
+      return
+    }
     if (!isDrawing) return
 
-    if (tempShape.type === 'rect' && tempShape.width > 10 && tempShape.height > 10) {
-      setAnnotations([
-        ...annotations,
-        {
-          id: `rect-${Date.now()}`,
-          type: 'rect',
-          x: tempShape.x,
-          y: tempShape.y,
-          width: tempShape.width,
-          height: tempShape.height,
-          style: 'warning',
-        },
-      ])
-    } else if (tempShape.type === 'circle' && tempShape.radius > 10) {
-      setAnnotations([
-        ...annotations,
-        {
-          id: `circle-${Date.now()}`,
-          type: 'circle',
-          x: tempShape.startX,
-          y: tempShape.startY,
-          radius: tempShape.radius,
-          style: 'warning',
-        },
-      ])
+    finishShape()
+  }
+
+  // Keyboard counterpart of the pointer handlers, on the focused canvas
+  const handleKeyDown = (e) => {
+    // Keys typed into the inline editor bubble up here too
+    if (e.target !== e.currentTarget || !hasKeyboardFocus || !keyCursor || crop) return
+    const handled = () => {
+      e.preventDefault()
+      // Keeps the arrow keys from also nudging the selection
+      e.stopPropagation()
     }
 
+    const delta = nudgeDelta(e)
+    // With the Select tool, arrows move the selected annotation instead
+    if (delta && !e.ctrlKey && !e.metaKey && !e.altKey && !(tool === 'select' && selectedIds.length > 0)) {
+      handled()
+      const step = e.shiftKey ? CURSOR_LARGE_STEP : CURSOR_STEP
+      const next = {
+        x: Math.min(imageSize.width, Math.max(0, keyCursor.x + delta.dx * step)),
+        y: Math.min(imageSize.height, Math.max(0, keyCursor.y + delta.dy * step)),
+      }
+      setKeyCursor(next)
+      if (isDrawing) extendShape(next)
+      onAnnounce?.(`Cursor at ${formatPoint(next)}`)
+    } else if (e.key === 'Enter') {
+      handled()
+      if (isDrawing) {
+        const added = finishShape()
+        if (!added) onAnnounce?.('Shape too small, nothing added')
+      } else if (tool === 'select') {
+        selectAtCursor()
+      } else {
+        returnFocusRef.current = tool === 'marker' || tool === 'text'
+        startAnnotation(keyCursor)
+        if (SHAPE_TOOLS.includes(tool)) {
+          onAnnounce?.(
+            `${annotationName({ type: tool })} started at ${formatPoint(keyCursor)}. ` +
+            'Move the cursor and press Enter to finish'
+          )
+        }
+      }
+    } else if (e.key === 'Escape' && isDrawing) {
+      handled()
+      setIsDrawing(false)
+      setTempShape(null)
+      onAnnounce?.('Drawing cancelled')
+    }
+  }
+
+  // Selects the topmost annotation under the keyboard cursor, as a click would
+  const selectAtCursor = () => {
+    const stage = stageRef.current
+    const shape = stage.getIntersection({
+      x: stageView.x + keyCursor.x * stageView.scale,
+      y: stageView.y + keyCursor.y * stageView.scale,
+    })
+    const id = shape?.findAncestor((node) => node.getAttr('annotationId'), true)?.getAttr('annotationId')
+    const annotation = annotations.find((a) => a.id === id)
+    setSelectedId(annotation?.id ?? null)
+    onAnnounce?.(annotation
+      ? `${describeAnnotation(annotation, numbers.get(annotation.id))} selected`
+      : `Nothing at ${formatPoint(keyCursor)}`)
+  }
+
+  // Two-finger pinch zooms around the midpoint between the fingers
+  const handleTouchMove = (e) => {
+    const touches = e.evt.touches
+    if (touches.length !== 2) {
+      handleStageMouseMove(e)
+      return
+    }
+
+    e.evt.preventDefault()
     setIsDrawing(false)
     setTempShape(null)
+
+    const rect = stageRef.current.container().getBoundingClientRect()
+    const [a, b] = touches
+    const center = {
+      x: (a.clientX + b.clientX) / 2 - rect.left,
+      y: (a.clientY + b.clientY) / 2 - rect.top,
+    }
+    const distance = Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)
+
+    if (!pinchRef.current) {
+      pinchRef.current = { center, distance, view: stageView }
+      return
+    }
+
+    const start = pinchRef.current
+    const zoomed = zoomAt(start.view, start.center, distance / start.distance)
+    setView({
+      mode: 'custom',
+      scale: zoomed.scale,
+      x: zoomed.x + center.x - start.center.x,
+      y: zoomed.y + center.y - start.center.y,
+    })
   }
 
-  const handleAnnotationChange = (id, newProps) => {
+  const handleTouchEnd = (e) => {
+    if (e.evt.touches.length < 2) {
+      pinchRef.current = null
+    }
+    handleStageMouseUp()
+  }
+
+  const handleAnnotationChange = (id, newProps, options) => {
+    const moving = options?.coalesce === `move:${id}` ? movingIds(id) : [id]
+    if (moving.length > 1) {
+      setAnnotations((current) => {
+        const dragged = current.find((a) => a.id === id)
+        const dx = newProps.x - dragged.x
+        const dy = newProps.y - dragged.y
+        return current.map((a) => {
+          if (a.id === id) return { ...a, ...newProps }
+          // Locked annotations stay put, as with the arrow keys
+          return moving.includes(a.id) && !a.locked ? moveAnnotation(a, dx, dy) : a
+        })
+      }, options)
+      return
+    }
     setAnnotations(
-      annotations.map((ann) => (ann.id === id ? { ...ann, ...newProps } : ann))
+      (current) => current.map((ann) => (ann.id === id ? { ...ann, ...newProps } : ann)),
+      options
     )
   }
 
+  const editingTarget = editing?.id
+    ? annotations.find((a) => a.id === editing.id)
+    : editing && { type: 'text', x: editing.x, y: editing.y, text: '', style: DEFAULT_STYLE.text }
+
+  const closeEditor = () => {
+    setEditing(null)
+    if (returnFocusRef.current) {
+      returnFocusRef.current = false
+      containerRef.current?.focus()
+    }
+  }
+
+  const commitEdit = (value) => {
+    const target = editingTarget
+    closeEditor()
+    if (!target) return
+    const trimmed = value.trim()
+
+    if (target.type === 'marker') {
+      if (trimmed !== target.label) {
+        handleAnnotationChange(target.id, { label: trimmed }, { label: 'Edit label' })
+      }
+    } else if (!target.id) {
+      if (!trimmed) return
+      const id = createAnnotationId('text')
+      setAnnotations(
+        (current) => [...current, { ...target, id, text: trimmed }],
+        { label: 'Add text' }
+      )
+      setSelectedId(id)
+      onAnnounce?.(`Text added at ${formatPoint(target)}`)
+    } else if (!trimmed) {
+      // Emptying a text annotation removes it
+      setAnnotations(
+        (current) => current.filter((a) => a.id !== target.id),
+        { label: 'Delete annotation' }
+      )
+      setSelectedId(null)
+    } else if (trimmed !== target.text) {
+      handleAnnotationChange(target.id, { text: trimmed }, { label: 'Edit text' })
+    }
+  }
+
+  const numbers = markerNumbers(annotations, numbering)
+  const cursor = isPanning ? 'grabbing' : isSpacePressed ? 'grab' : undefined
+
   return (
-    <div ref={containerRef} className="w-full h-full flex items-center justify-center bg-muted/20">
+    <div
+      ref={containerRef}
+      tabIndex={0}
+      role="application"
+      aria-label="Image canvas"
+      aria-describedby="canvas-keyboard-help"
+      className="relative w-full h-full flex items-center justify-center bg-muted/20 outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-ring"
+      style={{ cursor }}
+      onKeyDown={handleKeyDown}
+      onFocus={(e) => {
+        // Pointer users don't need the keyboard cursor
+        if (e.target !== e.currentTarget || !e.target.matches(':focus-visible') || !imageSize) return
+        setHasKeyboardFocus(true)
+        setKeyCursor((current) => current ?? { x: imageSize.width / 2, y: imageSize.height / 2 })
+      }}
+      onBlur={(e) => {
+        if (e.target === e.currentTarget) setHasKeyboardFocus(false)
+      }}
+    >
+      <p id="canvas-keyboard-help" className="sr-only">
+        Arrow keys move the cursor by 10 pixels, Shift with an arrow key by 50 pixels. Enter uses the current tool
+        at the cursor; shapes need Enter at both corners, Escape cancels. With the Select tool, Enter selects
+        the annotation under the cursor and the arrow keys move it.
+      </p>
       <Stage
         ref={stageRef}
         width={dimensions.width}
         height={dimensions.height}
+        scaleX={stageView.scale}
+        scaleY={stageView.scale}
+        x={stageView.x}
+        y={stageView.y}
+        onWheel={handleWheel}
         onClick={handleStageClick}
         onMouseDown={handleStageMouseDown}
         onMouseMove={handleStageMouseMove}
         onMouseUp={handleStageMouseUp}
+        onMouseLeave={handleStageMouseUp}
         onTouchStart={handleStageMouseDown}
-        onTouchMove={handleStageMouseMove}
-        onTouchEnd={handleStageMouseUp}
+        onTouchMove={handleTouchMove}
+        onTouchEnd={handleTouchEnd}
+        // Drags of annotations and handles bubble up here once written back,
+        // so the next drag is a new undo step
+        onDragEnd={() => {
+          setGuides([])
+          onGestureEnd?.()
+        }}
       >
-        <Layer>
-          {img && (
+        {/* While panning, annotations stop listening so drags go to the stage */}
+        <Layer listening={!isSpacePressed}>
+          {baseImage && (
             <KonvaImage
-              image={img}
-              x={(dimensions.width - img.width) / 2}
-              y={(dimensions.height - img.height) / 2}
+              image={baseImage}
+              width={imageSize.width}
+              height={imageSize.height}
+              listening={false}
+            />
+          )}
+
+          {spotlightImage && (
+            <KonvaImage image={spotlightImage} listening={false} />
+          )}
+
+          {!isExporting && snapping.grid && imageSize && (
+            <Shape
+              listening={false}
+              stroke={SNAP.gridColor}
+              strokeWidth={1 / stageView.scale}
+              sceneFunc={(ctx, shape) => {
+                ctx.beginPath()
+                for (let x = snapping.gridSize; x < imageSize.width; x += snapping.gridSize) {
+                  ctx.moveTo(x, 0)
+                  ctx.lineTo(x, imageSize.height)
+                }
+                for (let y = snapping.gridSize; y < imageSize.height; y += snapping.gridSize) {
+                  ctx.moveTo(0, y)
+                  ctx.lineTo(imageSize.width, y)
+                }
+                ctx.strokeShape(shape)
+              }}
             />
           )}
-          
+
           {annotations.map((annotation) => {
-            const isSelected = annotation.id === selectedId
+            // Hidden annotations aren't drawn, so exports leave them out
+            if (annotation.hidden) return null
+            // Locked annotations can be selected in the outline, but get no handles
+            const isSelected = !isExporting && !annotation.locked && selectedIds.includes(annotation.id)
+            const onChange = (newProps, options) => handleAnnotationChange(annotation.id, newProps, options)
             const props = {
-              key: annotation.id,
               annotation,
+              style: styleFor(annotation, presets),
+              markerNumber: numbers.get(annotation.id),
               isSelected,
-              onSelect: () => setSelectedId(annotation.id),
-              onChange: (newProps) => handleAnnotationChange(annotation.id, newProps),
+              isEditing: !isExporting && editing?.id === annotation.id,
+              glyphScale,
+              baseImage,
+              handleRadius: HANDLE_RADIUS / stageView.scale,
+              // Shift/Ctrl/Cmd-click adds or removes; Alt-click selects a single
+              // group member, e.g. for its transform handles
+              onSelect: (e) => {
+                if (e?.evt?.shiftKey || e?.evt?.ctrlKey || e?.evt?.metaKey) onToggleSelect?.(annotation.id)
+                else if (e?.evt?.altKey) onSelectAlone?.(annotation.id)
+                else setSelectedId(annotation.id)
+              },
+              snap: snapDrag,
+              onEdit: () => {
+                setSelectedId(annotation.id)
+                setEditing({ id: annotation.id })
+              },
+              onChange,
             }
 
-            if (annotation.type === 'marker') return <NumberMarker {...props} />
-            if (annotation.type === 'text') return <TextAnnotation {...props} />
-            if (annotation.type === 'rect') return <RectAnnotation {...props} />
-            if (annotation.type === 'circle') return <CircleAnnotation {...props} />
-            return null
+            const Component = ANNOTATION_COMPONENTS[annotation.type]
+            // Redactions are already in the base image; only their outline is editor chrome
+            if (!Component || (isExporting && isRedaction(annotation))) return null
+            return (
+              // `annotationId` lets keyboard selection find the annotation of a
+              // shape. Locked annotations let clicks through to what's underneath
+              <Group key={annotation.id} annotationId={annotation.id} listening={!annotation.locked && !crop}>
+                {/* Leader lines sit under their annotation */}
+                {annotation.leader && <LeaderLine {...props} />}
+                <Component {...props} />
+              </Group>
+            )
           })}
 
+          {/* On this layer so exports include it; a docked legend grows the exported area */}
+          {legendBox && (
+            <StepLegend
+              layout={legendBox}
+              draggable={!isExporting && !crop && !legendBox.docked}
+              onMove={onLegendMove}
+            />
+          )}
+
+          {transformConfig && (
+            <Transformer
+              ref={transformerRef}
+              {...transformConfig}
+              onTransformEnd={() => onGestureEnd?.()}
+              keepRatio={false}
+              flipEnabled={false}
+              ignoreStroke
+              rotationSnaps={[0, 90, 180, 270]}
+              boundBoxFunc={(oldBox, newBox) => (
+                Math.abs(newBox.width) < MIN_TRANSFORM_SIZE || Math.abs(newBox.height) < MIN_TRANSFORM_SIZE
+                  ? oldBox
+                  : newBox
+              )}
+            />
+          )}
+
+          {!isExporting && guides.map((guide) => (
+            <Line
+              key={`${guide.axis}-${guide.value}`}
+              points={guide.axis === 'x'
+                ? [guide.value, 0, guide.value, pageSize.height]
+                : [0, guide.value, pageSize.width, guide.value]}
+              stroke={SNAP.guideColor}
+              strokeWidth={1 / stageView.scale}
+              listening={false}
+            />
+          ))}
+
+          {!isExporting && marquee && (
+            <Rect
+              {...marqueeBox(marquee)}
+              fill={MARQUEE.fill}
+              stroke={MARQUEE.stroke}
+              strokeWidth={1 / stageView.scale}
+              dash={[4 / stageView.scale, 4 / stageView.scale]}
+              listening={false}
+            />
+          )}
+
           {/* Live preview for shape being drawn */}
-          {isDrawing && tempShape && tempShape.type === 'rect' && tempShape.width > 0 && (
+          {!isExporting && isDrawing && tempShape && BOX_TOOLS.includes(tempShape.type) && tempShape.width > 0 && (
             <Rect
               x={tempShape.x}
               y={tempShape.y}
               width={tempShape.width}
               height={tempShape.height}
               stroke="#3b82f6"
-              strokeWidth={2}
-              dash={[4, 4]}
+              strokeWidth={2 / stageView.scale}
+              dash={[4 / stageView.scale, 4 / stageView.scale]}
+              opacity={0.7}
+            />
+          )}
+          {!isExporting && isDrawing && tempShape && tempShape.type === 'arrow' && tempShape.endX !== undefined && (
+            <Arrow
+              points={[tempShape.startX, tempShape.startY, tempShape.endX, tempShape.endY]}
+              stroke="#3b82f6"
+              fill="#3b82f6"
+              strokeWidth={2 / stageView.scale}
+              pointerLength={10 / stageView.scale}
+              pointerWidth={10 / stageView.scale}
               opacity={0.7}
             />
           )}
-          {isDrawing && tempShape && tempShape.type === 'circle' && tempShape.radius > 0 && (
+          {!isExporting && isDrawing && tempShape && tempShape.type === 'circle' && tempShape.radius > 0 && (
             <Circle
               x={tempShape.startX}
               y={tempShape.startY}
               radius={tempShape.radius}
               stroke="#3b82f6"
-              strokeWidth={2}
-              dash={[4, 4]}
+              strokeWidth={2 / stageView.scale}
+              dash={[4 / stageView.scale, 4 / stageView.scale]}
               opacity={0.7}
             />
           )}
+
+          {/* While `crop` ({ rect, keepRatio }) is set, the frame takes the pointer
+              instead of the annotations and reports changes to onCropChange */}
+          {!isExporting && crop && imageSize && (
+            <CropFrame
+              rect={crop.rect}
+              imageSize={imageSize}
+              keepRatio={crop.keepRatio}
+              scale={stageView.scale}
+              onChange={onCropChange}
+            />
+          )}
+
+          {/* Keyboard cursor: a crosshair with a light halo to stand out on any screenshot */}
+          {!isExporting && !crop && hasKeyboardFocus && keyCursor && (
+            <Group x={keyCursor.x} y={keyCursor.y} listening={false}>
+              {[['#ffffff', 4], ['#2563eb', 2]].map(([color, width]) => (
+                <React.Fragment key={color}>
+                  <Line
+                    points={[-CURSOR_SIZE / stageView.scale, 0, CURSOR_SIZE / stageView.scale, 0]}
+                    stroke={color}
+                    strokeWidth={width / stageView.scale}
+                  />
+                  <Line
+                    points={[0, -CURSOR_SIZE / stageView.scale, 0, CURSOR_SIZE / stageView.scale]}
+                    stroke={color}
+                    strokeWidth={width / stageView.scale}
+                  />
+                </React.Fragment>
+              ))}
+            </Group>
+          )}
         </Layer>
       </Stage>
+
+      {editingTarget && (
+        <InlineTextEditor
+          // Remount for each target so the draft starts from its text
+          key={editing.id || `new-${editing.x}-${editing.y}`}
+          initialValue={editingTarget.type === 'marker' ? editingTarget.label : editingTarget.text}
+          label={editingTarget.type === 'marker' ? 'Marker label' : 'Annotation text'}
+          layout={(value) => editorLayout(editingTarget, styleFor(editingTarget, presets), value, stageView, glyphScale)}
+          onCommit={commitEdit}
+          onCancel={closeEditor}
+        />
+      )}
+
+      <ZoomControls
+        zoom={stageView.scale}
+        mode={view.mode}
+        onZoomIn={() => zoomBy(ZOOM_STEP)}
+        onZoomOut={() => zoomBy(1 / ZOOM_STEP)}
+        onPreset={(mode) => setView({ mode, scale: 1, x: 0, y: 0 })}
+      />
     </div>
   )
 })
 
 KonvaCanvas.displayName = 'KonvaCanvas'
-
-export function exportCanvasToPNG(stageRef, filename = 'annotated-image.png') {
-  if (!stageRef.current) return
-
-  const uri = stageRef.current.toDataURL({ pixelRatio: 2 })
-  const link = document.createElement('a')
-  link.download = filename
-  link.href = uri
-  document.body.appendChild(link)
-  link.click()
-  document.body.removeChild(link)
-}
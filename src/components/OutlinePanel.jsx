@@ -0,0 +1,242 @@
+import { useEffect, useRef, useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { restack } from '@/lib/annotations'
+import { ANNOTATION_TYPE_NAMES, annotationName, describeAnnotation } from '@/lib/accessibility'
+import { MAGNIFIER } from '@/lib/magnifier'
+import { markerNumbers } from '@/lib/numbering'
+import { REDACTION_MODES, isRedaction } from '@/lib/redaction'
+import {
+  ArrowUpRight,
+  BringToFront,
+  Circle,
+  Eye,
+  EyeOff,
+  GripVertical,
+  Hash,
+  Layers,
+  Lock,
+  LockOpen,
+  SendToBack,
+  Square,
+  Type,
+  ZoomIn,
+} from 'lucide-react'
+
+const TYPE_ICONS = {
+  marker: Hash,
+  text: Type,
+  rect: Square,
+  circle: Circle,
+  arrow: ArrowUpRight,
+  redact: EyeOff,
+  magnifier: ZoomIn,
+}
+
+function preview(annotation) {
+  if (annotation.type === 'marker') return annotation.label
+  if (annotation.type === 'text') return annotation.text.split('\n')[0]
+  if (isRedaction(annotation)) return REDACTION_MODES.find((m) => m.id === annotation.mode)?.label
+  if (annotation.type === 'magnifier') return `${annotation.zoom || MAGNIFIER.zoom}x`
+  return ''
+}
+
+/**
+ * Every annotation of the current page, topmost first. Rows select the
+ * annotation on the canvas and can be dragged to change the stacking
+ * order; each row can hide its annotation (leaving it out of exports) or
+ * lock it against pointer edits. Redactions can't be hidden, since that
+ * would put the pixels they cover back into exports. A row selects just
+ * its annotation, even inside a group; Shift-, Ctrl- or Cmd-clicking it
+ * adds it to the selection (`selectedIds`) or takes it out again.
+ *
+ * The list doubles as the accessible view of the canvas: each row reads
+ * out a description of its annotation, and Alt+Up/Down restacks it from
+ * the keyboard, reported through `onAnnounce(message)`.
+ */
+export function OutlinePanel({
+  annotations,
+  numbering,
+  setAnnotations,
+  selectedIds,
+  onSelect,
+  onToggleSelect,
+  onAnnounce,
+}) {
+  const [dragId, setDragId] = useState(null)
+  const [dropIndex, setDropIndex] = useState(null)
+  const selectedRef = useRef(null)
+  const numbers = markerNumbers(annotations, numbering)
+  // Restacking works on a single selection
+  const selectedId = selectedIds.length === 1 ? selectedIds[0] : null
+  // Rows list the top of the stack first; `index` below is a row index
+  const rows = [...annotations].reverse()
+  const toArrayIndex = (index) => annotations.length - 1 - index
+
+  // Keep the selection in view when it is picked on the canvas
+  useEffect(() => {
+    selectedRef.current?.scrollIntoView({ block: 'nearest' })
+  }, [selectedId])
+
+  const update = (id, changes, label) => {
+    setAnnotations((current) => current.map((a) => (a.id === id ? { ...a, ...changes } : a)), { label })
+  }
+
+  const move = (id, index, label) => {
+    setAnnotations((current) => restack(current, id, index), { label })
+  }
+
+  const handleRowKeyDown = (e, annotation, index) => {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return
+    e.preventDefault()
+    // Rows run top to bottom, so up is towards the front
+    const next = restack(annotations, annotation.id, toArrayIndex(index + (e.key === 'ArrowUp' ? -1 : 1)))
+    setAnnotations(next, { label: 'Reorder annotations' })
+    const position = next.length - next.findIndex((a) => a.id === annotation.id)
+    onAnnounce?.(`${annotationName(annotation, numbers.get(annotation.id))} at position ${position} of ${next.length}`)
+  }
+
+  const handleDrop = () => {
+    if (dragId !== null && dropIndex !== null) {
+      move(dragId, toArrayIndex(dropIndex), 'Reorder annotations')
+    }
+    setDragId(null)
+    setDropIndex(null)
+  }
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm flex items-center gap-2">
+          <Layers className="w-4 h-4" />
+          Outline
+          <span className="text-xs font-normal text-muted-foreground">{annotations.length}</span>
+          <span className="ml-auto flex gap-1">
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-6 w-6"
+              disabled={!selectedId}
+              title="Bring to front"
+              onClick={() => move(selectedId, annotations.length, 'Bring to front')}
+            >
+              <BringToFront className="w-3.5 h-3.5" />
+              <span className="sr-only">Bring to front</span>
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-6 w-6"
+              disabled={!selectedId}
+              title="Send to back"
+              onClick={() => move(selectedId, 0, 'Send to back')}
+            >
+              <SendToBack className="w-3.5 h-3.5" />
+              <span className="sr-only">Send to back</span>
+            </Button>
+          </span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {rows.length === 0 && (
+          <p className="text-xs text-muted-foreground">Annotations you add are listed here, topmost first.</p>
+        )}
+
+        <ol
+          className="max-h-72 space-y-1 overflow-y-auto p-0.5"
+          aria-label="Annotations, topmost first"
+          onDragLeave={() => setDropIndex(null)}
+        >
+          {rows.map((annotation, index) => {
+            const Icon = TYPE_ICONS[annotation.type]
+            const number = numbers.get(annotation.id)
+            const text = preview(annotation)
+            const canHide = !isRedaction(annotation) || annotation.hidden
+            const hideLabel = !canHide
+              ? 'Redactions can’t be hidden; delete it instead'
+              : annotation.hidden ? 'Show' : 'Hide (also from exports)'
+            const lockLabel = annotation.locked ? 'Unlock' : 'Lock (can’t be selected or moved on the canvas)'
+            const isSelected = selectedIds.includes(annotation.id)
+            return (
+              <li
+                key={annotation.id}
+                ref={annotation.id === selectedId ? selectedRef : undefined}
+                draggable
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = 'move'
+                  setDragId(annotation.id)
+                }}
+                onDragOver={(e) => {
+                  e.preventDefault()
+                  setDropIndex(index)
+                }}
+                onDrop={handleDrop}
+                onDragEnd={() => {
+                  setDragId(null)
+                  setDropIndex(null)
+                }}
+                className={[
+                  'flex items-center gap-1.5 rounded-md border px-1.5 py-1 text-xs',
+                  isSelected ? 'border-primary bg-primary/10' : 'border-transparent hover:bg-muted',
+                  dropIndex === index && dragId !== annotation.id ? 'border-dashed border-primary' : '',
+                  annotation.hidden ? 'opacity-50' : '',
+                ].join(' ')}
+              >
+                <GripVertical className="w-3.5 h-3.5 shrink-0 cursor-grab text-muted-foreground" />
+                <button
+                  type="button"
+                  className="flex min-w-0 flex-1 items-center gap-1.5 rounded-sm text-left outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                  aria-label={describeAnnotation(annotation, number)}
+                  aria-current={isSelected ? 'true' : undefined}
+                  onClick={(e) => (e.shiftKey || e.ctrlKey || e.metaKey
+                    ? onToggleSelect(annotation.id)
+                    : onSelect(annotation.id))}
+                  onKeyDown={(e) => handleRowKeyDown(e, annotation, index)}
+                >
+                  <Icon className="w-3.5 h-3.5 shrink-0" />
+                  {number && <span className="font-mono font-semibold">{number}</span>}
+                  <span className={`flex-1 truncate ${text ? '' : 'text-muted-foreground'}`}>
+                    {text || ANNOTATION_TYPE_NAMES[annotation.type]}
+                  </span>
+                </button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-6 w-6"
+                  disabled={!canHide}
+                  title={hideLabel}
+                  aria-label={hideLabel}
+                  onClick={() => {
+                    update(
+                      annotation.id,
+                      { hidden: !annotation.hidden },
+                      annotation.hidden ? 'Show annotation' : 'Hide annotation'
+                    )
+                  }}
+                >
+                  {annotation.hidden ? <EyeOff className="w-3.5 h-3.5" /> : <Eye className="w-3.5 h-3.5" />}
+                </Button>
+                <Button
+                  variant={annotation.locked ? 'secondary' : 'ghost'}
+                  size="icon"
+                  className="h-6 w-6"
+                  title={lockLabel}
+                  aria-label={lockLabel}
+                  onClick={() => {
+                    update(
+                      annotation.id,
+                      { locked: !annotation.locked },
+                      annotation.locked ? 'Unlock annotation' : 'Lock annotation'
+                    )
+                  }}
+                >
+                  {annotation.locked ? <Lock className="w-3.5 h-3.5" /> : <LockOpen className="w-3.5 h-3.5" />}
+                </Button>
+              </li>
+            )
+          })}
+        </ol>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,98 @@
+import { Button } from '@/components/ui/button'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { History, X } from 'lucide-react'
+
+function describeSession(session) {
+  const pages = session.pageCount === 1 ? '1 page' : `${session.pageCount} pages`
+  return `${pages} · ${new Date(session.updatedAt).toLocaleString()}`
+}
+
+/**
+ * Autosaved sessions on the empty-state card, most recent first. Clicking
+ * a thumbnail reopens the session.
+ */
+export function RecentSessions({ sessions, onOpen, onDelete }) {
+  if (sessions.length === 0) return null
+
+  return (
+    <div className="border-t p-6 space-y-3">
+      <h3 className="text-sm font-semibold text-muted-foreground uppercase tracking-wide flex items-center gap-2">
+        <History className="w-4 h-4" />
+        Recent
+      </h3>
+      <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+        {sessions.map((session) => (
+          <div key={session.id} className="group relative">
+            <button
+              type="button"
+              className="w-full overflow-hidden rounded-md border text-left outline-none hover:border-primary focus-visible:ring-2 focus-visible:ring-ring"
+              onClick={() => onOpen(session.id)}
+              title={`Open ${session.title}`}
+            >
+              <img
+                src={session.thumbnail}
+                alt={session.title}
+                className="h-20 w-full bg-muted object-contain"
+              />
+              <div className="px-2 py-1.5">
+                <div className="truncate text-xs font-medium">{session.title}</div>
+                <div className="truncate text-[10px] text-muted-foreground">{describeSession(session)}</div>
+              </div>
+            </button>
+            <button
+              type="button"
+              className="absolute right-1 top-1 hidden rounded bg-background/90 p-0.5 outline-none group-hover:block group-focus-within:block focus-visible:ring-2 focus-visible:ring-ring"
+              title="Remove from recent"
+              aria-label={`Remove ${session.title} from recent`}
+              onClick={() => onDelete(session.id)}
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Offered on startup when an autosaved session exists, e.g. after the tab
+ * crashed or was closed.
+ */
+export function RestoreSessionDialog({ session, onRestore, onDismiss }) {
+  return (
+    <Dialog open={Boolean(session)} onOpenChange={(open) => !open && onDismiss()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Restore previous session?</DialogTitle>
+          <DialogDescription>
+            {session && `“${session.title}” (${describeSession(session)}) was saved automatically. It stays in the recent list if you start fresh.`}
+          </DialogDescription>
+        </DialogHeader>
+        {session && (
+          <img
+            src={session.thumbnail}
+            alt={session.title}
+            className="max-h-48 w-full rounded-md border bg-muted object-contain"
+          />
+        )}
+        <DialogFooter>
+          <Button variant="outline" onClick={onDismiss}>
+            Start fresh
+          </Button>
+          <Button onClick={() => onRestore(session.id)}>
+            <History className="w-4 h-4 mr-2" />
+            Restore
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
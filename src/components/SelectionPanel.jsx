@@ -0,0 +1,365 @@
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { PresetSwatch } from '@/components/StylesPanel'
+import { ARROW_HEADS, LABEL_PLACEMENTS, TEXT_ALIGNMENTS, styleFor } from '@/lib/annotationStyles'
+import { supportsLeader } from '@/lib/arrows'
+import { MAGNIFIER, MAGNIFIER_SHAPES, MAGNIFIER_ZOOMS } from '@/lib/magnifier'
+import { REDACTION_MODES, isRedaction } from '@/lib/redaction'
+import { DEFAULT_SPOTLIGHT, SPOTLIGHT_LIMITS, supportsSpotlight } from '@/lib/spotlight'
+import { CopyPlus, Group, Spline, Trash2, Ungroup } from 'lucide-react'
+
+// Default leader target, down and to the left of the annotation
+const LEADER_OFFSET = { x: -80, y: 80 }
+
+function OptionRow({ label, children }) {
+  return (
+    <div className="space-y-1.5">
+      <div className="text-xs text-muted-foreground">{label}</div>
+      <div className="flex flex-wrap gap-1.5">{children}</div>
+    </div>
+  )
+}
+
+// `currentId` is null when the selected annotations differ
+function StyleOptions({ currentId, presets, onChange }) {
+  return (
+    <OptionRow label="Style">
+      {presets.map((preset) => (
+        <Button
+          key={preset.id}
+          size="sm"
+          variant={currentId === preset.id ? 'default' : 'outline'}
+          className="h-7 px-2 text-xs"
+          onClick={() => onChange({ style: preset.id }, 'Change style')}
+        >
+          <PresetSwatch preset={preset} className="h-4 w-4 text-[8px]" />
+          {preset.name}
+        </Button>
+      ))}
+    </OptionRow>
+  )
+}
+
+// Line alignment of text boxes and marker labels, and which side of its
+// marker a label sits on
+function TextOptions({ annotation, onChange }) {
+  return (
+    <>
+      {annotation.type === 'marker' && (
+        <OptionRow label="Label position">
+          {LABEL_PLACEMENTS.map((placement) => (
+            <Button
+              key={placement.id}
+              size="sm"
+              variant={(annotation.labelPlacement || 'right') === placement.id ? 'default' : 'outline'}
+              className="h-7 px-2 text-xs"
+              onClick={() => onChange({ labelPlacement: placement.id }, 'Move label')}
+            >
+              {placement.label}
+            </Button>
+          ))}
+        </OptionRow>
+      )}
+      <OptionRow label="Alignment">
+        {TEXT_ALIGNMENTS.map((alignment) => (
+          <Button
+            key={alignment.id}
+            size="sm"
+            variant={(annotation.align || 'left') === alignment.id ? 'default' : 'outline'}
+            className="h-7 px-2 text-xs"
+            onClick={() => onChange({ align: alignment.id }, 'Change alignment')}
+          >
+            {alignment.label}
+          </Button>
+        ))}
+      </OptionRow>
+    </>
+  )
+}
+
+function RedactionOptions({ annotation, onChange }) {
+  return (
+    <OptionRow label="Mode">
+      {REDACTION_MODES.map((mode) => (
+        <Button
+          key={mode.id}
+          size="sm"
+          variant={annotation.mode === mode.id ? 'default' : 'outline'}
+          className="h-7 px-2 text-xs"
+          onClick={() => onChange({ mode: mode.id }, 'Change redaction')}
+        >
+          {mode.label}
+        </Button>
+      ))}
+    </OptionRow>
+  )
+}
+
+function MagnifierOptions({ annotation, onChange }) {
+  return (
+    <>
+      <OptionRow label="Zoom">
+        {MAGNIFIER_ZOOMS.map((zoom) => (
+          <Button
+            key={zoom}
+            size="sm"
+            variant={(annotation.zoom || MAGNIFIER.zoom) === zoom ? 'default' : 'outline'}
+            className="h-7 px-2 text-xs"
+            onClick={() => onChange({ zoom }, 'Change magnifier zoom')}
+          >
+            {zoom}x
+          </Button>
+        ))}
+      </OptionRow>
+      <OptionRow label="Lens">
+        {MAGNIFIER_SHAPES.map((shape) => (
+          <Button
+            key={shape.id}
+            size="sm"
+            variant={(annotation.shape || MAGNIFIER.shape) === shape.id ? 'default' : 'outline'}
+            className="h-7 px-2 text-xs"
+            onClick={() => onChange({ shape: shape.id }, 'Change magnifier lens')}
+          >
+            {shape.label}
+          </Button>
+        ))}
+      </OptionRow>
+      <p className="text-xs text-muted-foreground">
+        Drag the outline to pick what is magnified and the lens to place it.
+      </p>
+    </>
+  )
+}
+
+function SpotlightSlider({ label, field, value, format, onChange }) {
+  const { min, max, step } = SPOTLIGHT_LIMITS[field]
+  return (
+    <label className="flex items-center gap-2 text-xs text-muted-foreground">
+      <span className="w-12">{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="flex-1"
+      />
+      <span className="w-10 text-right font-mono tabular-nums">{format(value)}</span>
+    </label>
+  )
+}
+
+// The dim and feather settings are shared by every spotlight in the guide
+function SpotlightOptions({ annotation, settings, onChange, onSettingsChange }) {
+  return (
+    <div className="space-y-2">
+      <label className="flex items-center gap-2 text-xs">
+        <input
+          type="checkbox"
+          checked={Boolean(annotation.spotlight)}
+          onChange={(e) => onChange(
+            { spotlight: e.target.checked },
+            e.target.checked ? 'Add spotlight' : 'Remove spotlight'
+          )}
+        />
+        Spotlight (dim the rest of the image)
+      </label>
+      {annotation.spotlight && (
+        <>
+          <SpotlightSlider
+            label="Dim"
+            field="opacity"
+            value={settings.opacity}
+            format={(value) => `${Math.round(value * 100)}%`}
+            onChange={(opacity) => onSettingsChange({ ...settings, opacity })}
+          />
+          <SpotlightSlider
+            label="Feather"
+            field="feather"
+            value={settings.feather}
+            format={(value) => `${value}px`}
+            onChange={(feather) => onSettingsChange({ ...settings, feather })}
+          />
+        </>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Sidebar settings for the selected annotation: its style preset, text
+ * alignment and marker label position, arrow heads and bend, redaction mode, magnifier zoom and lens shape, whether
+ * a rectangle or circle is a spotlight (with the guide's `spotlight`
+ * settings, changed through `onSpotlightChange`), or adding and removing
+ * a leader line on markers and text. `onChange(changes, label)` records
+ * an undoable edit.
+ */
+export function SelectionPanel({
+  annotation,
+  presets,
+  spotlight = DEFAULT_SPOTLIGHT,
+  onSpotlightChange,
+  onChange,
+}) {
+  const isArrow = annotation.type === 'arrow'
+  if (isRedaction(annotation)) {
+    return (
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="text-sm">Redaction</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <RedactionOptions annotation={annotation} onChange={onChange} />
+        </CardContent>
+      </Card>
+    )
+  }
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm">{isArrow ? 'Arrow' : 'Selection'}</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <StyleOptions currentId={styleFor(annotation, presets).id} presets={presets} onChange={onChange} />
+
+        {isArrow && (
+          <>
+            {['tail', 'head'].map((end) => (
+              <OptionRow key={end} label={end === 'head' ? 'Head' : 'Tail'}>
+                {ARROW_HEADS.map((kind) => (
+                  <Button
+                    key={kind}
+                    size="sm"
+                    variant={(annotation[end] || (end === 'head' ? 'triangle' : 'none')) === kind ? 'default' : 'outline'}
+                    className="h-7 px-2 text-xs capitalize"
+                    onClick={() => onChange({ [end]: kind }, 'Edit arrow')}
+                  >
+                    {kind}
+                  </Button>
+                ))}
+              </OptionRow>
+            ))}
+            <Button
+              variant="outline"
+              size="sm"
+              className="w-full"
+              disabled={!annotation.mid}
+              onClick={() => onChange({ mid: null }, 'Straighten arrow')}
+            >
+              <Spline className="w-4 h-4 mr-2" />
+              Straighten
+            </Button>
+            <p className="text-xs text-muted-foreground">
+              Drag the middle handle to curve the arrow.
+            </p>
+          </>
+        )}
+
+        {(annotation.type === 'marker' || annotation.type === 'text') && (
+          <TextOptions annotation={annotation} onChange={onChange} />
+        )}
+
+        {annotation.type === 'magnifier' && (
+          <MagnifierOptions annotation={annotation} onChange={onChange} />
+        )}
+
+        {supportsSpotlight(annotation) && (
+          <SpotlightOptions
+            annotation={annotation}
+            settings={spotlight}
+            onChange={onChange}
+            onSettingsChange={onSpotlightChange}
+          />
+        )}
+
+        {supportsLeader(annotation) && (
+          annotation.leader ? (
+            <Button
+              variant="outline"
+              size="sm"
+              className="w-full"
+              onClick={() => onChange({ leader: null }, 'Remove leader line')}
+            >
+              Remove leader line
+            </Button>
+          ) : (
+            <Button
+              variant="outline"
+              size="sm"
+              className="w-full"
+              onClick={() => onChange(
+                { leader: { x: annotation.x + LEADER_OFFSET.x, y: annotation.y + LEADER_OFFSET.y } },
+                'Add leader line'
+              )}
+            >
+              Add leader line
+            </Button>
+          )
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+/**
+ * Sidebar for several selected annotations: how many there are, a style
+ * preset for all of them (redactions have none), grouping, duplicating
+ * and deleting. `onChange(changes, label)` applies to every selected
+ * annotation except redactions.
+ */
+export function MultiSelectionPanel({ annotations, presets, onChange, onGroup, onUngroup, onDuplicate, onDelete }) {
+  const styled = annotations.filter((a) => !isRedaction(a))
+  const styleIds = new Set(styled.map((a) => styleFor(a, presets).id))
+  const groups = new Set(annotations.map((a) => a.group))
+  const isOneGroup = groups.size === 1 && !groups.has(undefined)
+  const locked = annotations.filter((a) => a.locked).length
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm flex items-center gap-2">
+          {isOneGroup ? 'Group' : 'Selection'}
+          <span className="ml-auto text-xs font-normal text-muted-foreground tabular-nums">
+            {annotations.length} selected
+          </span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {styled.length > 0 && (
+          <StyleOptions
+            currentId={styleIds.size === 1 ? [...styleIds][0] : null}
+            presets={presets}
+            onChange={onChange}
+          />
+        )}
+        <div className="grid grid-cols-2 gap-2">
+          {isOneGroup ? (
+            <Button size="sm" variant="outline" onClick={onUngroup}>
+              <Ungroup className="w-4 h-4 mr-2" />
+              Ungroup
+            </Button>
+          ) : (
+            <Button size="sm" variant="outline" onClick={onGroup}>
+              <Group className="w-4 h-4 mr-2" />
+              Group
+            </Button>
+          )}
+          <Button size="sm" variant="outline" onClick={onDuplicate}>
+            <CopyPlus className="w-4 h-4 mr-2" />
+            Duplicate
+          </Button>
+          <Button size="sm" variant="outline" className="col-span-2" onClick={onDelete}>
+            <Trash2 className="w-4 h-4 mr-2" />
+            Delete {annotations.length} annotations
+          </Button>
+        </div>
+        {locked > 0 && (
+          <p className="text-xs text-muted-foreground">
+            {locked === 1 ? '1 locked annotation stays' : `${locked} locked annotations stay`} in place when the selection is moved.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,66 @@
+import { Circle, Group, Rect, Text } from 'react-konva'
+import { LEGEND } from '@/lib/legend'
+import { markerFontSize } from '@/lib/annotationStyles'
+
+/**
+ * The step legend on the canvas, drawn from a layout computed by
+ * @/lib/legend. A floating legend can be dragged; `onMove({ x, y })` is
+ * called with its new corner.
+ */
+export function StepLegend({ layout, draggable, onMove }) {
+  const radius = LEGEND.markerRadius
+
+  return (
+    <Group
+      x={layout.x}
+      y={layout.y}
+      draggable={draggable}
+      onDragEnd={(e) => onMove({ x: e.target.x(), y: e.target.y() })}
+    >
+      <Rect
+        width={layout.width}
+        height={layout.height}
+        fill={LEGEND.fill}
+        stroke={LEGEND.stroke}
+        strokeWidth={LEGEND.strokeWidth}
+        cornerRadius={LEGEND.cornerRadius}
+        shadowColor={LEGEND.shadow.color}
+        shadowBlur={LEGEND.shadow.blur}
+        shadowOffset={{ x: LEGEND.shadow.offsetX, y: LEGEND.shadow.offsetY }}
+      />
+      {layout.rows.map((row) => (
+        <Group key={row.id}>
+          <Circle
+            x={row.x + radius}
+            y={row.markerY}
+            radius={radius}
+            fill={row.style.fill}
+            stroke={row.style.stroke}
+            strokeWidth={LEGEND.markerStrokeWidth}
+          />
+          <Text
+            x={row.x}
+            y={row.markerY - radius}
+            text={row.number}
+            fontSize={markerFontSize(row.number, radius)}
+            fontStyle="bold"
+            fill={row.style.textColor}
+            width={radius * 2}
+            height={radius * 2}
+            align="center"
+            verticalAlign="middle"
+          />
+          <Text
+            x={row.textX}
+            y={row.textY}
+            text={row.lines.join('\n')}
+            fontSize={LEGEND.fontSize}
+            lineHeight={LEGEND.lineHeight}
+            fill={LEGEND.textColor}
+            wrap="none"
+          />
+        </Group>
+      ))}
+    </Group>
+  )
+}
@@ -0,0 +1,216 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { LEGEND_PLACEMENTS } from '@/lib/legend'
+import { NUMBERING_SCHEMES, isPinned, markerSteps, moveMarker } from '@/lib/numbering'
+import { CornerDownRight, GripVertical, ListOrdered, Pin } from 'lucide-react'
+
+/**
+ * Numbering settings and the list of the current page's markers in step
+ * order. Rows can be dragged to reorder steps, turned into sub-steps, or
+ * pinned to a fixed number. `numbering` holds the guide's settings and
+ * `pageNumbering` the effective numbering of the current page. `legend`
+ * holds the guide's step legend settings (see @/lib/legend). From the
+ * keyboard, Alt+Up/Down moves the focused step.
+ */
+export function StepsPanel({
+  annotations,
+  numbering,
+  pageNumbering,
+  pageCount,
+  onNumberingChange,
+  legend,
+  onLegendChange,
+  setAnnotations,
+  selectedId,
+  onSelect,
+  onAnnounce,
+}) {
+  const [dragId, setDragId] = useState(null)
+  const [dropIndex, setDropIndex] = useState(null)
+  const steps = markerSteps(annotations, pageNumbering)
+
+  const updateMarker = (id, changes, options) => {
+    setAnnotations(
+      (current) => current.map((a) => (a.id === id ? { ...a, ...changes } : a)),
+      options
+    )
+  }
+
+  const handleStepKeyDown = (e, marker, index) => {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return
+    e.preventDefault()
+    const target = index + (e.key === 'ArrowUp' ? -1 : 1)
+    if (target < 0 || target >= steps.length) return
+    setAnnotations((current) => moveMarker(current, marker.id, target), { label: 'Reorder steps' })
+    onAnnounce?.(`${marker.label || 'Step'} moved to step ${target + 1} of ${steps.length}`)
+  }
+
+  const handleDrop = () => {
+    if (dragId !== null && dropIndex !== null) {
+      setAnnotations((current) => moveMarker(current, dragId, dropIndex), { label: 'Reorder steps' })
+    }
+    setDragId(null)
+    setDropIndex(null)
+  }
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm flex items-center gap-2">
+          <ListOrdered className="w-4 h-4" />
+          Steps
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex items-center gap-2 text-xs">
+          <label className="flex items-center gap-1.5">
+            Start at
+            <input
+              type="number"
+              min={1}
+              value={numbering.start}
+              onChange={(e) => onNumberingChange({
+                ...numbering,
+                start: Math.max(1, Math.floor(Number(e.target.value)) || 1),
+              })}
+              className="h-7 w-14 rounded-md border border-input bg-background px-1.5 text-xs"
+            />
+          </label>
+          <select
+            value={numbering.scheme}
+            onChange={(e) => onNumberingChange({ ...numbering, scheme: e.target.value })}
+            className="h-7 flex-1 rounded-md border border-input bg-background px-1.5 text-xs"
+            aria-label="Numbering scheme"
+          >
+            {NUMBERING_SCHEMES.map((scheme) => (
+              <option key={scheme.id} value={scheme.id}>{scheme.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {pageCount > 1 && (
+          <label className="flex items-center gap-2 text-xs">
+            <input
+              type="checkbox"
+              checked={numbering.continuous}
+              onChange={(e) => onNumberingChange({ ...numbering, continuous: e.target.checked })}
+            />
+            Continue numbering across pages
+            {numbering.continuous && pageNumbering.start !== numbering.start && (
+              <span className="ml-auto text-muted-foreground">this page from {pageNumbering.start}</span>
+            )}
+          </label>
+        )}
+
+        <label className="flex items-center gap-2 text-xs">
+          Legend
+          <select
+            value={legend.placement}
+            onChange={(e) => onLegendChange({ ...legend, placement: e.target.value })}
+            className="h-7 flex-1 rounded-md border border-input bg-background px-1.5 text-xs"
+          >
+            {LEGEND_PLACEMENTS.map((placement) => (
+              <option key={placement.id} value={placement.id}>{placement.label}</option>
+            ))}
+          </select>
+        </label>
+        {legend.placement !== 'none' && (
+          <p className="text-xs text-muted-foreground">
+            {legend.placement === 'floating'
+              ? 'Lists labeled steps on the image; drag it on the canvas to move it.'
+              : 'Lists labeled steps next to the image; exports grow to fit it.'}
+          </p>
+        )}
+
+        {steps.length === 0 && (
+          <p className="text-xs text-muted-foreground">Markers you add are listed here in step order.</p>
+        )}
+
+        <ol className="space-y-1 p-0.5" aria-label="Steps" onDragLeave={() => setDropIndex(null)}>
+          {steps.map(({ marker, value, text }, index) => (
+            <li
+              key={marker.id}
+              draggable
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move'
+                setDragId(marker.id)
+              }}
+              onDragOver={(e) => {
+                e.preventDefault()
+                setDropIndex(index)
+              }}
+              onDrop={handleDrop}
+              onDragEnd={() => {
+                setDragId(null)
+                setDropIndex(null)
+              }}
+              className={[
+                'flex items-center gap-1.5 rounded-md border px-1.5 py-1 text-xs',
+                marker.id === selectedId ? 'border-primary bg-primary/10' : 'border-transparent hover:bg-muted',
+                dropIndex === index && dragId !== marker.id ? 'border-dashed border-primary' : '',
+                marker.substep ? 'ml-4' : '',
+              ].join(' ')}
+            >
+              <GripVertical className="w-3.5 h-3.5 shrink-0 cursor-grab text-muted-foreground" />
+              <button
+                type="button"
+                className="flex min-w-0 flex-1 items-center gap-1.5 rounded-sm text-left outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                aria-label={`Step ${text}, ${marker.label || 'no label'}`}
+                aria-current={marker.id === selectedId ? 'true' : undefined}
+                onClick={() => onSelect(marker.id)}
+                onKeyDown={(e) => handleStepKeyDown(e, marker, index)}
+              >
+                <span className="min-w-8 font-mono font-semibold">{text}</span>
+                <span className={`flex-1 truncate ${marker.label ? '' : 'italic text-muted-foreground'}`}>
+                  {marker.label || 'No label'}
+                </span>
+              </button>
+              {isPinned(marker) && !marker.substep && (
+                <input
+                  type="number"
+                  min={1}
+                  value={marker.pin}
+                  onChange={(e) => updateMarker(
+                    marker.id,
+                    { pin: Math.max(1, Math.floor(Number(e.target.value)) || 1) },
+                    { label: 'Pin step number', coalesce: `pin:${marker.id}` }
+                  )}
+                  className="h-6 w-12 rounded border border-input bg-background px-1 text-xs"
+                  aria-label="Pinned number"
+                />
+              )}
+              <Button
+                variant={marker.substep ? 'secondary' : 'ghost'}
+                size="icon"
+                className="h-6 w-6"
+                disabled={index === 0 && !marker.substep}
+                title={marker.substep ? 'Make a top-level step' : 'Make a sub-step of the step above'}
+                onClick={() => updateMarker(
+                  marker.id,
+                  { substep: !marker.substep, pin: null },
+                  { label: 'Change step level' }
+                )}
+              >
+                <CornerDownRight className="w-3.5 h-3.5" />
+              </Button>
+              <Button
+                variant={isPinned(marker) ? 'secondary' : 'ghost'}
+                size="icon"
+                className="h-6 w-6"
+                title={isPinned(marker) ? 'Unpin number' : 'Pin this number'}
+                onClick={() => updateMarker(
+                  marker.id,
+                  isPinned(marker) ? { pin: null } : { pin: value, substep: false },
+                  { label: isPinned(marker) ? 'Unpin step number' : 'Pin step number' }
+                )}
+              >
+                <Pin className="w-3.5 h-3.5" />
+              </Button>
+            </li>
+          ))}
+        </ol>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,210 @@
+import { useRef, useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { DASHES, MARKER_SIZES, PALETTE, STROKE_WIDTHS } from '@/lib/annotationStyles'
+import { PRESETS_FILE_EXTENSION, copyPreset, updatePreset } from '@/lib/presets'
+import { Copy, Download, Palette, Trash2, Upload } from 'lucide-react'
+
+const COLOR_FIELDS = [
+  { field: 'fill', label: 'Fill' },
+  { field: 'stroke', label: 'Border' },
+  { field: 'textColor', label: 'Text' },
+]
+
+/**
+ * Small marker-like preview of a preset: a `fill` circle with a `stroke`
+ * border and a `textColor` digit.
+ */
+export function PresetSwatch({ preset, className = '' }) {
+  return (
+    <span
+      className={`inline-flex h-5 w-5 shrink-0 items-center justify-center rounded-full border-2 text-[10px] font-bold ${className}`}
+      style={{ backgroundColor: preset.fill, borderColor: preset.stroke, color: preset.textColor }}
+    >
+      1
+    </span>
+  )
+}
+
+function ColorRow({ label, value, onChange }) {
+  return (
+    <div className="space-y-1">
+      <div className="text-muted-foreground">{label}</div>
+      <div className="flex flex-wrap gap-1">
+        {PALETTE.map((color) => (
+          <button
+            key={color.value}
+            type="button"
+            title={color.name}
+            aria-label={`${label}: ${color.name}`}
+            aria-pressed={value === color.value}
+            className={`h-5 w-5 rounded-full border outline-none focus-visible:ring-2 focus-visible:ring-ring ${value === color.value ? 'ring-2 ring-foreground ring-offset-1 ring-offset-background' : 'border-border'}`}
+            style={{ backgroundColor: color.value }}
+            onClick={() => onChange(color.value)}
+          />
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function SelectRow({ label, value, options, onChange }) {
+  return (
+    <label className="flex items-center justify-between gap-2">
+      <span className="text-muted-foreground">{label}</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="h-7 w-28 rounded-md border border-input bg-background px-1.5 text-xs"
+      >
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </label>
+  )
+}
+
+function PresetEditor({ preset, canDelete, onChange, onDuplicate, onDelete }) {
+  // Trying out several values of one property is a single undo step
+  const edit = (field, value) => onChange({ [field]: value }, `preset:${preset.id}:${field}`)
+
+  return (
+    <div className="space-y-2.5 rounded-md border p-2 text-xs">
+      <input
+        value={preset.name}
+        onChange={(e) => edit('name', e.target.value)}
+        onBlur={(e) => {
+          if (!e.target.value.trim()) edit('name', 'Untitled')
+        }}
+        className="h-7 w-full rounded-md border border-input bg-background px-1.5 text-xs"
+        aria-label="Preset name"
+      />
+      {COLOR_FIELDS.map(({ field, label }) => (
+        <ColorRow key={field} label={label} value={preset[field]} onChange={(value) => edit(field, value)} />
+      ))}
+      <SelectRow
+        label="Line"
+        value={preset.dash}
+        options={Object.keys(DASHES).map((dash) => ({ value: dash, label: dash[0].toUpperCase() + dash.slice(1) }))}
+        onChange={(value) => edit('dash', value)}
+      />
+      <SelectRow
+        label="Line width"
+        value={preset.strokeWidth}
+        options={STROKE_WIDTHS.map((width) => ({ value: width, label: `${width}px` }))}
+        onChange={(value) => edit('strokeWidth', Number(value))}
+      />
+      <SelectRow
+        label="Marker size"
+        value={preset.markerSize}
+        options={MARKER_SIZES}
+        onChange={(value) => edit('markerSize', Number(value))}
+      />
+      <div className="flex gap-1.5 pt-1">
+        <Button variant="outline" size="sm" className="h-7 flex-1 px-2 text-xs" onClick={onDuplicate}>
+          <Copy className="w-3.5 h-3.5" />
+          Duplicate
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-7 flex-1 px-2 text-xs"
+          disabled={!canDelete}
+          title={canDelete ? 'Annotations using this preset fall back to their default' : 'A guide needs at least one preset'}
+          onClick={onDelete}
+        >
+          <Trash2 className="w-3.5 h-3.5" />
+          Delete
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * The guide's style presets. Editing a preset restyles every annotation
+ * that uses it. `setPresets(next, options)` records an undoable edit, like
+ * setAnnotations; preset sets are shared through `onImport(file)` and
+ * `onExport()`.
+ */
+export function StylesPanel({ presets, setPresets, onImport, onExport }) {
+  const [openId, setOpenId] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const handleDuplicate = (preset) => {
+    const copy = copyPreset(preset, presets)
+    setPresets((current) => [...current, copy], { label: 'Add style preset' })
+    setOpenId(copy.id)
+  }
+
+  const handleDelete = (id) => {
+    setPresets((current) => current.filter((preset) => preset.id !== id), { label: 'Delete style preset' })
+    setOpenId(null)
+  }
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm flex items-center gap-2">
+          <Palette className="w-4 h-4" />
+          Styles
+          <span className="ml-auto flex gap-1">
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-6 w-6"
+              title="Import style presets"
+              onClick={() => fileInputRef.current?.click()}
+            >
+              <Upload className="w-3.5 h-3.5" />
+              <span className="sr-only">Import style presets</span>
+            </Button>
+            <Button variant="ghost" size="icon" className="h-6 w-6" title="Export style presets" onClick={onExport}>
+              <Download className="w-3.5 h-3.5" />
+              <span className="sr-only">Export style presets</span>
+            </Button>
+          </span>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={`${PRESETS_FILE_EXTENSION},.json,application/json`}
+            onChange={(e) => {
+              const file = e.target.files?.[0]
+              if (file) onImport(file)
+              e.target.value = ''
+            }}
+            className="hidden"
+          />
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-1">
+        {presets.map((preset) => (
+          <div key={preset.id} className="space-y-1">
+            <button
+              type="button"
+              className={`flex w-full items-center gap-2 rounded-md px-1.5 py-1 text-left text-xs outline-none hover:bg-muted focus-visible:ring-2 focus-visible:ring-ring ${openId === preset.id ? 'bg-muted' : ''}`}
+              onClick={() => setOpenId(openId === preset.id ? null : preset.id)}
+              aria-expanded={openId === preset.id}
+            >
+              <PresetSwatch preset={preset} />
+              <span className="flex-1 truncate">{preset.name}</span>
+            </button>
+            {openId === preset.id && (
+              <PresetEditor
+                preset={preset}
+                canDelete={presets.length > 1}
+                onChange={(changes, coalesce) => setPresets(
+                  (current) => updatePreset(current, preset.id, changes),
+                  { label: 'Edit style preset', coalesce }
+                )}
+                onDuplicate={() => handleDuplicate(preset)}
+                onDelete={() => handleDelete(preset.id)}
+              />
+            )}
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  )
+}
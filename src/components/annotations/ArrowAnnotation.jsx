@@ -0,0 +1,87 @@
+import { Group, Shape } from 'react-konva'
+import { ARROW, dashFor } from '@/lib/annotationStyles'
+import { arrowGeometry, arrowMidpoint } from '@/lib/arrows'
+import { ArrowHead } from './ArrowHead'
+import { Handle } from './Handle'
+import { dragHandlers } from './dragHandlers'
+
+export function ArrowAnnotation({ annotation, style, isSelected, glyphScale, handleRadius, onSelect, onChange, snap }) {
+  const geometry = arrowGeometry(annotation, glyphScale)
+  const strokeWidth = style.strokeWidth * glyphScale
+  const { x, y, end, mid } = annotation
+  const midpoint = arrowMidpoint(annotation)
+
+  // One handle drag is one undo step
+  const edit = (props) => {
+    onChange(props, { label: 'Edit arrow', coalesce: `arrow:${annotation.id}` })
+  }
+
+  // Moving the start keeps the end and bend fixed on the image
+  const moveStart = (p) => {
+    const dx = p.x - x
+    const dy = p.y - y
+    edit({
+      x: p.x,
+      y: p.y,
+      end: { x: end.x - dx, y: end.y - dy },
+      mid: mid && { x: mid.x - dx, y: mid.y - dy },
+    })
+  }
+
+  return (
+    <>
+      <Group
+        x={x}
+        y={y}
+        draggable
+        onClick={onSelect}
+        onTap={onSelect}
+        {...dragHandlers(annotation, onChange, snap)}
+      >
+        <Shape
+          sceneFunc={(ctx, shape) => {
+            const { start, control, end: shaftEnd } = geometry
+            ctx.beginPath()
+            ctx.moveTo(start.x, start.y)
+            if (control) {
+              ctx.quadraticCurveTo(control.x, control.y, shaftEnd.x, shaftEnd.y)
+            } else {
+              ctx.lineTo(shaftEnd.x, shaftEnd.y)
+            }
+            ctx.strokeShape(shape)
+          }}
+          stroke={style.fill}
+          strokeWidth={strokeWidth}
+          dash={dashFor(style, glyphScale)}
+          lineCap="round"
+          hitStrokeWidth={Math.max(strokeWidth, 16)}
+          shadowColor={ARROW.shadow.color}
+          shadowBlur={ARROW.shadow.blur}
+          shadowOffset={{ x: ARROW.shadow.offsetX, y: ARROW.shadow.offsetY }}
+        />
+        <ArrowHead shape={geometry.tail} color={style.fill} strokeWidth={strokeWidth} />
+        <ArrowHead shape={geometry.head} color={style.fill} strokeWidth={strokeWidth} />
+      </Group>
+
+      {isSelected && (
+        <>
+          <Handle x={x} y={y} radius={handleRadius} onMove={moveStart} />
+          <Handle
+            x={x + midpoint.x}
+            y={y + midpoint.y}
+            radius={handleRadius}
+            hollow={!mid}
+            onMove={(p) => edit({ mid: { x: p.x - x, y: p.y - y } })}
+            onDoubleClick={() => onChange({ mid: null }, { label: 'Straighten arrow' })}
+          />
+          <Handle
+            x={x + end.x}
+            y={y + end.y}
+            radius={handleRadius}
+            onMove={(p) => edit({ end: { x: p.x - x, y: p.y - y } })}
+          />
+        </>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,24 @@
+import { Circle, Line } from 'react-konva'
+
+// Head or tail decoration from arrowGeometry()
+export function ArrowHead({ shape, color, strokeWidth }) {
+  if (!shape) return null
+
+  if (shape.kind === 'dot') {
+    return <Circle x={shape.center.x} y={shape.center.y} radius={shape.radius} fill={color} />
+  }
+
+  const points = shape.points.flatMap((p) => [p.x, p.y])
+  if (shape.kind === 'open') {
+    return (
+      <Line
+        points={points}
+        stroke={color}
+        strokeWidth={strokeWidth}
+        lineCap="round"
+        lineJoin="round"
+      />
+    )
+  }
+  return <Line points={points} closed fill={color} stroke={color} strokeWidth={1} lineJoin="round" />
+}
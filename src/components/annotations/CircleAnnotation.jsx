@@ -0,0 +1,38 @@
+import { Circle } from 'react-konva'
+import { dashFor } from '@/lib/annotationStyles'
+import { Handle } from './Handle'
+import { dragHandlers } from './dragHandlers'
+
+// Smallest radius the resize handle allows, in image pixels
+const MIN_RADIUS = 5
+
+export function CircleAnnotation({ annotation, style, isSelected, glyphScale, handleRadius, onSelect, onChange, snap }) {
+  return (
+    <>
+      <Circle
+        x={annotation.x}
+        y={annotation.y}
+        radius={annotation.radius}
+        stroke={isSelected ? '#ef4444' : style.stroke}
+        strokeWidth={style.strokeWidth * glyphScale}
+        dash={dashFor(style, glyphScale)}
+        draggable
+        onClick={onSelect}
+        onTap={onSelect}
+        {...dragHandlers(annotation, onChange, snap)}
+      />
+      {/* Radius handle; circles always resize around their center */}
+      {isSelected && (
+        <Handle
+          x={annotation.x + annotation.radius}
+          y={annotation.y}
+          radius={handleRadius}
+          onMove={(p) => onChange(
+            { radius: Math.max(MIN_RADIUS, Math.hypot(p.x - annotation.x, p.y - annotation.y)) },
+            { label: 'Resize annotation', coalesce: `transform:${annotation.id}` }
+          )}
+        />
+      )}
+    </>
+  )
+}
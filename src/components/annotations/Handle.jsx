@@ -0,0 +1,29 @@
+import { Circle } from 'react-konva'
+
+/**
+ * Draggable edit handle. Handles live directly in the layer so their
+ * position is in image pixels; `radius` is chosen by the canvas to keep
+ * them a constant size on screen.
+ */
+export function Handle({ x, y, radius, hollow = false, onMove, onDoubleClick }) {
+  const handleMove = (e) => onMove({ x: e.target.x(), y: e.target.y() })
+
+  return (
+    <Circle
+      x={x}
+      y={y}
+      radius={radius}
+      fill={hollow ? 'rgba(255,255,255,0.6)' : '#ffffff'}
+      stroke="#2563eb"
+      strokeWidth={radius / 3}
+      dash={hollow ? [radius / 2, radius / 3] : undefined}
+      draggable
+      onDragMove={handleMove}
+      onDragEnd={handleMove}
+      onDblClick={onDoubleClick}
+      onDblTap={onDoubleClick}
+      onMouseEnter={(e) => { e.target.getStage().container().style.cursor = 'move' }}
+      onMouseLeave={(e) => { e.target.getStage().container().style.cursor = '' }}
+    />
+  )
+}
@@ -0,0 +1,47 @@
+import { Circle, Group, Line } from 'react-konva'
+import { LEADER } from '@/lib/annotationStyles'
+import { leaderStart } from '@/lib/arrows'
+import { Handle } from './Handle'
+
+/**
+ * Callout line from a marker or text annotation to `annotation.leader`.
+ * The target is stored in image pixels, so it stays put when the
+ * annotation is dragged and the line follows either end.
+ */
+export function LeaderLine({ annotation, style, isSelected, glyphScale, handleRadius, onChange }) {
+  const target = annotation.leader
+  const start = leaderStart(annotation, style, glyphScale)
+  const color = style.stroke
+
+  return (
+    <>
+      <Group listening={false}>
+        {start && (
+          <Line
+            points={[start.x, start.y, target.x, target.y]}
+            stroke={color}
+            strokeWidth={LEADER.strokeWidth * glyphScale}
+            lineCap="round"
+          />
+        )}
+        <Circle
+          x={target.x}
+          y={target.y}
+          radius={LEADER.targetRadius * glyphScale}
+          fill={color}
+        />
+      </Group>
+      {isSelected && (
+        <Handle
+          x={target.x}
+          y={target.y}
+          radius={handleRadius}
+          onMove={(p) => onChange(
+            { leader: p },
+            { label: 'Move leader line', coalesce: `leader:${annotation.id}` }
+          )}
+        />
+      )}
+    </>
+  )
+}
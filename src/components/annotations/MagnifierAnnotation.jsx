@@ -0,0 +1,77 @@
+import { Line, Rect } from 'react-konva'
+import { dashFor } from '@/lib/annotationStyles'
+import { MAGNIFIER, lensLayout, magnifierConnector } from '@/lib/magnifier'
+import { dragHandlers, rectFromNode, transformHandlers } from './dragHandlers'
+
+/**
+ * Magnified copy of a region. The region outline and the lens are dragged
+ * separately; the lens is filled with `baseImage`, the redacted
+ * full-resolution image, scaled up, so exports at any pixel ratio sample
+ * real image pixels and redactions stay covered.
+ */
+export function MagnifierAnnotation({ annotation, style, isSelected, glyphScale, baseImage, onSelect, onChange, snap }) {
+  const lens = lensLayout(annotation)
+  const connector = magnifierConnector(annotation)
+  const color = isSelected ? '#ef4444' : style.stroke
+
+  const handleLensMove = (e) => {
+    onChange(
+      { target: { x: e.target.x() + lens.width / 2, y: e.target.y() + lens.height / 2 } },
+      { label: 'Move magnifier', coalesce: `lens:${annotation.id}` }
+    )
+  }
+
+  return (
+    <>
+      {connector && (
+        <Line
+          points={[connector.start.x, connector.start.y, connector.end.x, connector.end.y]}
+          stroke={style.stroke}
+          strokeWidth={MAGNIFIER.connectorWidth * glyphScale}
+          lineCap="round"
+          listening={false}
+        />
+      )}
+      <Rect
+        id={annotation.id}
+        x={annotation.x}
+        y={annotation.y}
+        width={annotation.width}
+        height={annotation.height}
+        // Transparent fill keeps the whole region clickable
+        fill="transparent"
+        stroke={color}
+        strokeWidth={style.strokeWidth * glyphScale}
+        dash={dashFor(style, glyphScale)}
+        draggable
+        onClick={onSelect}
+        onTap={onSelect}
+        {...dragHandlers(annotation, onChange, snap)}
+        {...transformHandlers(annotation, onChange, rectFromNode)}
+      />
+      <Rect
+        x={lens.x}
+        y={lens.y}
+        width={lens.width}
+        height={lens.height}
+        cornerRadius={lens.cornerRadius}
+        fillPatternImage={baseImage}
+        fillPatternRepeat="no-repeat"
+        fillPatternX={lens.imageX - lens.x}
+        fillPatternY={lens.imageY - lens.y}
+        fillPatternScaleX={lens.zoom}
+        fillPatternScaleY={lens.zoom}
+        stroke={color}
+        strokeWidth={style.strokeWidth * glyphScale}
+        shadowColor={MAGNIFIER.shadow.color}
+        shadowBlur={MAGNIFIER.shadow.blur * glyphScale}
+        shadowOffset={{ x: MAGNIFIER.shadow.offsetX, y: MAGNIFIER.shadow.offsetY * glyphScale }}
+        draggable
+        onClick={onSelect}
+        onTap={onSelect}
+        onDragMove={handleLensMove}
+        onDragEnd={handleLensMove}
+      />
+    </>
+  )
+}
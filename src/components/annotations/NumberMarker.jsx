@@ -0,0 +1,81 @@
+import { Circle, Group, Rect, Text } from 'react-konva'
+import {
+  MARKER,
+  MARKER_LABEL,
+  markerFontSize,
+  markerLabelLayout,
+  markerRadius,
+} from '@/lib/annotationStyles'
+import { dragHandlers } from './dragHandlers'
+
+// `markerNumber` is the display number from @/lib/numbering
+export function NumberMarker({ annotation, style, markerNumber, isSelected, isEditing, glyphScale, onSelect, onEdit, onChange, snap }) {
+  const radius = markerRadius(style)
+  const label = markerLabelLayout(annotation, style)
+
+  return (
+    <Group
+      x={annotation.x}
+      y={annotation.y}
+      scaleX={glyphScale}
+      scaleY={glyphScale}
+      draggable
+      onClick={onSelect}
+      onTap={onSelect}
+      onDblClick={onEdit}
+      onDblTap={onEdit}
+      {...dragHandlers(annotation, onChange, snap)}
+    >
+      <Circle
+        radius={radius}
+        fill={style.fill}
+        stroke={isSelected ? '#ffffff' : style.stroke}
+        strokeWidth={isSelected ? 4 : MARKER.strokeWidth}
+        shadowColor={MARKER.shadow.color}
+        shadowBlur={MARKER.shadow.blur}
+        shadowOffset={{ x: MARKER.shadow.offsetX, y: MARKER.shadow.offsetY }}
+      />
+      <Text
+        text={markerNumber}
+        fontSize={markerFontSize(markerNumber, radius)}
+        fontStyle="bold"
+        fill={style.textColor}
+        width={radius * 2}
+        height={radius * 2}
+        offsetX={radius}
+        offsetY={radius}
+        align="center"
+        verticalAlign="middle"
+      />
+      {/* The inline editor replaces the label while it is open */}
+      {annotation.label && !isEditing && (
+        <Group x={label.x} y={label.y}>
+          <Rect
+            width={label.width}
+            height={label.height}
+            fill={MARKER_LABEL.fill}
+            stroke={style.stroke}
+            strokeWidth={MARKER_LABEL.strokeWidth}
+            cornerRadius={MARKER_LABEL.cornerRadius}
+            shadowColor={MARKER_LABEL.shadow.color}
+            shadowBlur={MARKER_LABEL.shadow.blur}
+            shadowOffset={{ x: MARKER_LABEL.shadow.offsetX, y: MARKER_LABEL.shadow.offsetY }}
+          />
+          {/* Lines are wrapped by markerLabelLayout, like in SVG exports */}
+          <Text
+            text={label.lines.join('\n')}
+            fontSize={label.fontSize}
+            lineHeight={MARKER_LABEL.lineHeight}
+            fill={MARKER_LABEL.textColor}
+            padding={label.padding}
+            width={label.width}
+            height={label.height}
+            align={label.align}
+            verticalAlign="middle"
+            wrap="none"
+          />
+        </Group>
+      )}
+    </Group>
+  )
+}
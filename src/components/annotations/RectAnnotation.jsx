@@ -0,0 +1,23 @@
+import { Rect } from 'react-konva'
+import { dashFor } from '@/lib/annotationStyles'
+import { dragHandlers, rectFromNode, transformHandlers } from './dragHandlers'
+
+export function RectAnnotation({ annotation, style, isSelected, glyphScale, onSelect, onChange, snap }) {
+  return (
+    <Rect
+      id={annotation.id}
+      x={annotation.x}
+      y={annotation.y}
+      width={annotation.width}
+      height={annotation.height}
+      stroke={isSelected ? '#ef4444' : style.stroke}
+      strokeWidth={style.strokeWidth * glyphScale}
+      dash={dashFor(style, glyphScale)}
+      draggable
+      onClick={onSelect}
+      onTap={onSelect}
+      {...dragHandlers(annotation, onChange, snap)}
+      {...transformHandlers(annotation, onChange, rectFromNode)}
+    />
+  )
+}
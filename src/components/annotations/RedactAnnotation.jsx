@@ -0,0 +1,29 @@
+import { Rect } from 'react-konva'
+import { dragHandlers, rectFromNode, transformHandlers } from './dragHandlers'
+
+/**
+ * Editor outline of a redaction region. The redaction itself is baked into
+ * the base image (see @/lib/redaction), so this only gives the region a
+ * handle to select and drag; it is not drawn in exports.
+ */
+export function RedactAnnotation({ annotation, isSelected, glyphScale, onSelect, onChange, snap }) {
+  return (
+    <Rect
+      id={annotation.id}
+      x={annotation.x}
+      y={annotation.y}
+      width={annotation.width}
+      height={annotation.height}
+      // Transparent fill keeps the whole region clickable
+      fill="transparent"
+      stroke={isSelected ? '#ef4444' : '#6b7280'}
+      strokeWidth={1.5 * glyphScale}
+      dash={[4 * glyphScale, 3 * glyphScale]}
+      draggable
+      onClick={onSelect}
+      onTap={onSelect}
+      {...dragHandlers(annotation, onChange, snap)}
+      {...transformHandlers(annotation, onChange, rectFromNode)}
+    />
+  )
+}
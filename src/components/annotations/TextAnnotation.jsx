@@ -0,0 +1,69 @@
+import { Group, Rect, Text } from 'react-konva'
+import { TEXT_BOX, dashFor, textBoxLayout } from '@/lib/annotationStyles'
+import { dragHandlers, transformHandlers } from './dragHandlers'
+
+export function TextAnnotation({ annotation, style, isSelected, isEditing, glyphScale, onSelect, onEdit, onChange, snap }) {
+  const { width, height, lines, fontSize, padding, align } = textBoxLayout(annotation)
+
+  // The group carries the glyph scale, so only the rest is a resize. The
+  // side handles change the width the text wraps at; the top, bottom and
+  // corner handles also scale the text, as the height follows the lines.
+  const fromNode = (node) => {
+    const scaleY = node.scaleY() / glyphScale
+    const props = {
+      x: node.x(),
+      y: node.y(),
+      width: Math.max(fontSize * 2, width * node.scaleX() / glyphScale),
+      rotation: node.rotation(),
+    }
+    if (Math.abs(scaleY - 1) > 0.001) props.fontSize = Math.max(1, fontSize * scaleY)
+    node.scale({ x: glyphScale, y: glyphScale })
+    return props
+  }
+  
+  return (
+    <Group
+      id={annotation.id}
+      x={annotation.x}
+      y={annotation.y}
+      rotation={annotation.rotation || 0}
+      scaleX={glyphScale}
+      scaleY={glyphScale}
+      draggable
+      onClick={onSelect}
+      onTap={onSelect}
+      onDblClick={onEdit}
+      onDblTap={onEdit}
+      {...dragHandlers(annotation, onChange, snap)}
+      {...transformHandlers(annotation, onChange, fromNode)}
+    >
+      <Rect
+        width={width}
+        height={height}
+        fill={isSelected ? 'rgba(59, 130, 246, 0.95)' : style.fill}
+        stroke={style.stroke}
+        strokeWidth={style.strokeWidth}
+        dash={dashFor(style)}
+        cornerRadius={TEXT_BOX.cornerRadius}
+        shadowColor={TEXT_BOX.shadow.color}
+        shadowBlur={TEXT_BOX.shadow.blur}
+        shadowOffset={{ x: TEXT_BOX.shadow.offsetX, y: TEXT_BOX.shadow.offsetY }}
+      />
+      {/* Hidden while the inline editor sits on top of it. Lines are
+          wrapped by textBoxLayout, like in SVG exports. */}
+      <Text
+        visible={!isEditing}
+        text={lines.join('\n')}
+        fontSize={fontSize}
+        lineHeight={TEXT_BOX.lineHeight}
+        fill={isSelected ? '#ffffff' : style.textColor}
+        padding={padding}
+        width={width}
+        height={height}
+        align={align}
+        verticalAlign="middle"
+        wrap="none"
+      />
+    </Group>
+  )
+}
@@ -0,0 +1,44 @@
+// Positions are written back live while dragging so the document always
+// matches the canvas; the coalesce key makes one drag a single undo step,
+// and the canvas ends the run on dragend.
+// `snap(annotation, position, evt)` returns where a dragged position
+// lands (see @/lib/snapping); the node is put there before it is read.
+export function dragHandlers(annotation, onChange, snap) {
+  const handleMove = (e) => {
+    // Ignore drags of child nodes (e.g. handles) bubbling up
+    if (e.target !== e.currentTarget) return
+    if (snap && e.type === 'dragmove') {
+      e.target.position(snap(annotation, e.target.position(), e.evt))
+    }
+    onChange(
+      { x: e.target.x(), y: e.target.y() },
+      { label: 'Move annotation', coalesce: `move:${annotation.id}` }
+    )
+  }
+  return { onDragMove: handleMove, onDragEnd: handleMove }
+}
+
+// Transformer edits are written back the same way. `toProps(node)` reads
+// the new geometry off the node and resets its scale, so the annotation
+// holds real sizes and Konva is never left with a scale of its own.
+export function transformHandlers(annotation, onChange, toProps) {
+  const handleTransform = (e) => {
+    onChange(
+      toProps(e.target),
+      { label: 'Resize annotation', coalesce: `transform:${annotation.id}` }
+    )
+  }
+  return { onTransform: handleTransform, onTransformEnd: handleTransform }
+}
+
+// Geometry of a transformed Rect
+export function rectFromNode(node) {
+  const props = {
+    x: node.x(),
+    y: node.y(),
+    width: Math.max(1, node.width() * node.scaleX()),
+    height: Math.max(1, node.height() * node.scaleY()),
+  }
+  node.scale({ x: 1, y: 1 })
+  return props
+}
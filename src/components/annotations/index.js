@@ -0,0 +1,8 @@
+export { NumberMarker } from './NumberMarker'
+export { TextAnnotation } from './TextAnnotation'
+export { RectAnnotation } from './RectAnnotation'
+export { CircleAnnotation } from './CircleAnnotation'
+export { ArrowAnnotation } from './ArrowAnnotation'
+export { LeaderLine } from './LeaderLine'
+export { RedactAnnotation } from './RedactAnnotation'
+export { MagnifierAnnotation } from './MagnifierAnnotation'
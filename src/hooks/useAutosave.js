@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react'
+import { saveSession } from '@/lib/sessions'
+
+// A burst of edits (a drag, typing) is written once it settles
+const AUTOSAVE_DELAY_MS = 300
+
+/**
+ * Saves `guide` as session `id` whenever it changes; page images are only
+ * written when they change (see @/lib/sessions). Empty guides are not
+ * saved. Returns the last save error, or null once a save succeeds, so
+ * the caller can tell the user that their work is not being kept.
+ */
+export function useAutosave(id, guide) {
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (guide.pages.length === 0) return
+    let cancelled = false
+    const timer = setTimeout(() => {
+      saveSession(id, guide).then(
+        () => {
+          if (!cancelled) setError(null)
+        },
+        (saveError) => {
+          if (!cancelled) setError(saveError)
+        }
+      )
+    }, AUTOSAVE_DELAY_MS)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [id, guide])
+
+  return error
+}
@@ -0,0 +1,103 @@
+import { useCallback, useMemo, useReducer } from 'react'
+
+// Oldest steps are dropped once the stack grows past this
+const HISTORY_LIMIT = 100
+
+// Consecutive commits sharing a coalesce key within this window are merged
+// into a single undo step (e.g. a burst of arrow-key nudges). A gesture
+// such as a drag ends its run explicitly, so two quick drags stay two steps.
+const COALESCE_WINDOW_MS = 1000
+
+function historyReducer(history, action) {
+  switch (action.type) {
+    case 'commit': {
+      const next = typeof action.updater === 'function'
+        ? action.updater(history.present)
+        : action.updater
+      if (next === history.present) return history
+
+      const { label, coalesce } = action.options
+      const last = history.lastCommit
+      const canCoalesce = coalesce &&
+        last?.coalesce === coalesce &&
+        action.time - last.time < COALESCE_WINDOW_MS
+
+      if (canCoalesce) {
+        return {
+          ...history,
+          present: next,
+          future: [],
+          lastCommit: { ...last, time: action.time },
+        }
+      }
+
+      return {
+        past: [...history.past, { state: history.present, label }].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+        lastCommit: { coalesce, time: action.time },
+      }
+    }
+    case 'undo': {
+      if (history.past.length === 0) return history
+      const step = history.past[history.past.length - 1]
+      return {
+        past: history.past.slice(0, -1),
+        present: step.state,
+        future: [{ state: history.present, label: step.label }, ...history.future],
+        lastCommit: null,
+      }
+    }
+    case 'redo': {
+      if (history.future.length === 0) return history
+      const [step, ...future] = history.future
+      return {
+        past: [...history.past, { state: history.present, label: step.label }],
+        present: step.state,
+        future,
+        lastCommit: null,
+      }
+    }
+    case 'end-coalescing':
+      return history.lastCommit ? { ...history, lastCommit: null } : history
+    default:
+      return history
+  }
+}
+
+/**
+ * Undo/redo history around a single immutable state value.
+ *
+ * `commit(updater, { label, coalesce })` records a new step. `updater` is
+ * either the next state or a function of the current one. `label` names the
+ * step for the undo/redo buttons ("Undo Move annotation"). Commits that pass
+ * the same `coalesce` key in quick succession collapse into one step, until
+ * `endCoalescing()` is called at the end of a gesture.
+ */
+export function useHistory(initialState) {
+  const [history, dispatch] = useReducer(historyReducer, {
+    past: [],
+    present: initialState,
+    future: [],
+    lastCommit: null,
+  })
+
+  const commit = useCallback((updater, options = {}) => {
+    dispatch({ type: 'commit', updater, options, time: Date.now() })
+  }, [])
+  const undo = useCallback(() => dispatch({ type: 'undo' }), [])
+  const redo = useCallback(() => dispatch({ type: 'redo' }), [])
+  const endCoalescing = useCallback(() => dispatch({ type: 'end-coalescing' }), [])
+
+  return useMemo(() => ({
+    present: history.present,
+    commit,
+    undo,
+    redo,
+    endCoalescing,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    undoLabel: history.past[history.past.length - 1]?.label,
+    redoLabel: history.future[0]?.label,
+  }), [history, commit, undo, redo, endCoalescing])
+}
@@ -0,0 +1,70 @@
+/**
+ * Annotation descriptions for assistive technology
+ *
+ * Screen readers can't see the canvas, so the outline list and the live
+ * region announcements describe annotations in words, e.g. "Marker 3,
+ * Open settings, at 120, 340". Positions are image pixels, the same
+ * numbers the keyboard cursor moves in.
+ */
+
+import { REDACTION_MODES } from '@/lib/redaction'
+import { MAGNIFIER } from '@/lib/magnifier'
+
+export const ANNOTATION_TYPE_NAMES = {
+  marker: 'Marker',
+  text: 'Text',
+  rect: 'Rectangle',
+  circle: 'Circle',
+  arrow: 'Arrow',
+  redact: 'Redaction',
+  magnifier: 'Magnifier',
+}
+
+export function formatPoint({ x, y }) {
+  return `${Math.round(x)}, ${Math.round(y)}`
+}
+
+/**
+ * Short name: "Marker 3", "Rectangle".
+ */
+export function annotationName(annotation, number) {
+  const name = ANNOTATION_TYPE_NAMES[annotation.type] || 'Annotation'
+  return number ? `${name} ${number}` : name
+}
+
+function annotationDetail(annotation) {
+  switch (annotation.type) {
+    case 'marker':
+      return annotation.label || 'no label'
+    case 'text':
+      return annotation.text.replace(/\n/g, ' ')
+    case 'rect':
+      return `${Math.round(annotation.width)} by ${Math.round(annotation.height)}`
+    case 'circle':
+      return `radius ${Math.round(annotation.radius)}`
+    case 'arrow':
+      return `to ${formatPoint({ x: annotation.x + annotation.end.x, y: annotation.y + annotation.end.y })}`
+    case 'redact':
+      return REDACTION_MODES.find((m) => m.id === annotation.mode)?.label
+    case 'magnifier':
+      return `${annotation.zoom || MAGNIFIER.zoom}x, lens at ${formatPoint(annotation.target)}`
+    default:
+      return null
+  }
+}
+
+/**
+ * Full description: name, label or size, position and state, e.g.
+ * "Marker 3, Open settings, at 120, 340, locked".
+ */
+export function describeAnnotation(annotation, number) {
+  return [
+    annotationName(annotation, number),
+    annotationDetail(annotation),
+    `at ${formatPoint(annotation)}`,
+    annotation.spotlight && 'spotlight',
+    annotation.group && 'grouped',
+    annotation.hidden && 'hidden',
+    annotation.locked && 'locked',
+  ].filter(Boolean).join(', ')
+}
@@ -0,0 +1,279 @@
+/**
+ * Annotation styles and geometry
+ *
+ * Shared by the Konva canvas and the SVG exporter so both draw identical
+ * annotations.
+ *
+ * Note on colors:
+ * - Annotation colors are hex values because Konva renders to canvas
+ * - Canvas needs actual color values, not CSS variables
+ * - The palette is chosen to be visible in both light and dark modes
+ * - It's optimized for documentation screenshots and printing
+ *
+ * Colors, line styles and marker sizes come from style presets, which
+ * annotations reference by id in `style`. Presets belong to the guide
+ * (see @/lib/presets), so editing one restyles every annotation using it.
+ *
+ * Marker labels and text boxes are sized from measured text (see
+ * @/lib/textMetrics): they wrap at a maximum width and grow downwards with
+ * their lines.
+ */
+
+import { linesWidth, wrapText } from '@/lib/textMetrics'
+
+// Colors presets can choose from. Keeping the choice small keeps guides
+// written by different people looking alike.
+export const PALETTE = [
+  { name: 'White', value: '#ffffff' },
+  { name: 'Charcoal', value: '#1f2937' },
+  { name: 'Black', value: '#000000' },
+  { name: 'Blue', value: '#3b82f6' },
+  { name: 'Dark blue', value: '#2563eb' },
+  { name: 'Cyan', value: '#06b6d4' },
+  { name: 'Dark cyan', value: '#0891b2' },
+  { name: 'Green', value: '#22c55e' },
+  { name: 'Dark green', value: '#16a34a' },
+  { name: 'Amber', value: '#f59e0b' },
+  { name: 'Dark amber', value: '#d97706' },
+  { name: 'Red', value: '#ef4444' },
+  { name: 'Dark red', value: '#dc2626' },
+  { name: 'Violet', value: '#8b5cf6' },
+  { name: 'Dark violet', value: '#7c3aed' },
+]
+
+// Line patterns, as Konva/SVG dash arrays at 1x
+export const DASHES = {
+  solid: [],
+  dashed: [8, 4],
+  dotted: [2, 4],
+}
+
+export const STROKE_WIDTHS = [2, 3, 4, 6]
+
+// Marker circle radius
+export const MARKER_SIZES = [
+  { label: 'Small', value: 18 },
+  { label: 'Medium', value: 24 },
+  { label: 'Large', value: 30 },
+]
+
+/**
+ * Built-in style presets. A preset colors every annotation type:
+ * - markers: `fill` circle with a `stroke` border and `textColor` number
+ * - arrows: drawn in `fill`
+ * - rectangles and circles: `stroke` outline
+ * - text boxes: `fill` box with a `stroke` border and `textColor` text
+ * - magnifiers: `stroke` outlines of the region and lens, and the connector
+ * `strokeWidth` and `dash` apply to arrows, outlines and text box borders,
+ * `markerSize` is the marker radius.
+ */
+export const DEFAULT_PRESETS = [
+  {
+    id: 'primary',
+    name: 'Primary',
+    fill: '#3b82f6',      // Blue - high contrast for numbered markers
+    stroke: '#2563eb',    // Darker blue for borders
+    textColor: '#ffffff', // White text for readability
+    strokeWidth: 4,
+    dash: 'solid',
+    markerSize: 24,
+  },
+  {
+    id: 'warning',
+    name: 'Warning',
+    fill: '#f59e0b',      // Amber - for highlighting/attention
+    stroke: '#d97706',
+    textColor: '#ffffff',
+    strokeWidth: 3,
+    dash: 'dashed',
+    markerSize: 24,
+  },
+  {
+    id: 'info',
+    name: 'Info',
+    fill: '#06b6d4',      // Cyan - for informational highlights
+    stroke: '#0891b2',
+    textColor: '#ffffff',
+    strokeWidth: 3,
+    dash: 'dashed',
+    markerSize: 24,
+  },
+  {
+    id: 'note',
+    name: 'Note',
+    fill: '#ffffff',      // White box with dark text, for text annotations
+    stroke: '#3b82f6',
+    textColor: '#1f2937',
+    strokeWidth: 2,
+    dash: 'solid',
+    markerSize: 24,
+  },
+]
+
+// Preset used when an annotation doesn't name one
+export const DEFAULT_STYLE = {
+  marker: 'primary',
+  arrow: 'primary',
+  rect: 'warning',
+  circle: 'warning',
+  text: 'note',
+  magnifier: 'primary',
+}
+
+/**
+ * The preset an annotation is drawn with. Annotations whose preset has
+ * been deleted fall back to their type's default, then to the first
+ * preset.
+ */
+export function styleFor(annotation, presets = DEFAULT_PRESETS) {
+  const find = (id) => presets.find((preset) => preset.id === id)
+  return find(annotation.style) ||
+    find(DEFAULT_STYLE[annotation.type]) ||
+    presets[0] ||
+    DEFAULT_PRESETS[0]
+}
+
+export function dashFor(style, scale = 1) {
+  return (DASHES[style.dash] || DASHES.solid).map((d) => d * scale)
+}
+
+export const FONT_FAMILY = 'Arial'
+
+// `radius` is the default; presets pick from MARKER_SIZES
+export const MARKER = {
+  radius: 24,
+  strokeWidth: 2,
+  fontSize: 18,
+  shadow: { color: 'rgba(0,0,0,0.3)', blur: 4, offsetX: 0, offsetY: 2 },
+}
+
+// Label box beside a marker, `gap` past the edge of the circle. `height`
+// is that of a single line; longer labels wrap at `maxWidth`.
+export const MARKER_LABEL = {
+  gap: 8,
+  minWidth: 80,
+  maxWidth: 240,
+  height: 32,
+  padding: 8,
+  fontSize: 14,
+  // Multiple of fontSize
+  lineHeight: 1.2,
+  fill: 'rgba(255,255,255,0.95)',
+  textColor: '#1f2937',
+  strokeWidth: 2,
+  cornerRadius: 4,
+  shadow: { color: 'rgba(0,0,0,0.2)', blur: 3, offsetX: 0, offsetY: 1 },
+}
+
+// Sizes at the default font size; a text box with its own `fontSize`
+// scales all of them
+export const TEXT_BOX = {
+  minWidth: 100,
+  maxWidth: 320,
+  // Of a single line
+  height: 36,
+  padding: 8,
+  fontSize: 16,
+  // Multiple of fontSize
+  lineHeight: 1.25,
+  cornerRadius: 4,
+  shadow: { color: 'rgba(0,0,0,0.2)', blur: 3, offsetX: 0, offsetY: 1 },
+}
+
+// Arrows are drawn in the style's fill color so they match markers
+export const ARROW = {
+  headLength: 16,
+  headWidth: 16,
+  dotRadius: 6,
+  shadow: { color: 'rgba(0,0,0,0.25)', blur: 3, offsetX: 0, offsetY: 1 },
+}
+
+export const ARROW_HEADS = ['triangle', 'open', 'dot', 'none']
+
+// Where a marker's label sits, as `labelPlacement`
+export const LABEL_PLACEMENTS = [
+  { id: 'right', label: 'Right' },
+  { id: 'left', label: 'Left' },
+  { id: 'above', label: 'Above' },
+  { id: 'below', label: 'Below' },
+]
+
+// How the lines of a label or text box line up, as `align`
+export const TEXT_ALIGNMENTS = [
+  { id: 'left', label: 'Left', anchor: 'start' },
+  { id: 'center', label: 'Center', anchor: 'middle' },
+  { id: 'right', label: 'Right', anchor: 'end' },
+]
+
+// Leader line from a marker label or text box to a target point
+export const LEADER = {
+  strokeWidth: 2,
+  targetRadius: 4,
+}
+
+export function markerRadius(style) {
+  return style.markerSize || MARKER.radius
+}
+
+export function textFont(size, bold = false) {
+  return { family: FONT_FAMILY, size, bold }
+}
+
+// Scales with the circle; longer numbers (12.3, XVIII) shrink to stay
+// inside it
+export function markerFontSize(text, radius = MARKER.radius) {
+  return Math.min(
+    MARKER.fontSize * radius / MARKER.radius,
+    (radius * 2 * 0.8) / (String(text).length * 0.6)
+  )
+}
+
+/**
+ * Label box of a marker, relative to the marker center: `{ x, y, width,
+ * height, lines, fontSize, lineHeight, padding, align }`, where `lines`
+ * are the wrapped lines and `lineHeight` is in pixels. The box sits on
+ * the side named by `labelPlacement`, centered on the marker.
+ */
+export function markerLabelLayout(annotation, style) {
+  const { fontSize, padding } = MARKER_LABEL
+  const font = textFont(fontSize)
+  const lines = wrapText(annotation.label, MARKER_LABEL.maxWidth - padding * 2, font)
+  const lineHeight = fontSize * MARKER_LABEL.lineHeight
+  const width = Math.max(MARKER_LABEL.minWidth, Math.ceil(linesWidth(lines, font)) + padding * 2)
+  const height = Math.max(MARKER_LABEL.height, lines.length * lineHeight + padding * 2)
+  const offset = markerRadius(style) + MARKER_LABEL.gap
+
+  const position = {
+    right: { x: offset, y: -height / 2 },
+    left: { x: -offset - width, y: -height / 2 },
+    above: { x: -width / 2, y: -offset - height },
+    below: { x: -width / 2, y: offset },
+  }[annotation.labelPlacement] || { x: offset, y: -height / 2 }
+
+  return { ...position, width, height, lines, fontSize, lineHeight, padding, align: annotation.align || 'left' }
+}
+
+/**
+ * Layout of a text annotation: `{ width, height, lines, fontSize,
+ * lineHeight, padding, align }`. The box is as wide as its widest line up
+ * to a maximum, or `width` once resized, and as tall as its lines.
+ * Padding and sizes scale with `fontSize`.
+ */
+export function textBoxLayout(annotation) {
+  const fontSize = annotation.fontSize || TEXT_BOX.fontSize
+  const scale = fontSize / TEXT_BOX.fontSize
+  const padding = TEXT_BOX.padding * scale
+  const font = textFont(fontSize)
+  const boxWidth = annotation.width || TEXT_BOX.maxWidth * scale
+  const lines = wrapText(annotation.text, Math.max(fontSize, boxWidth - padding * 2), font)
+  const lineHeight = fontSize * TEXT_BOX.lineHeight
+  return {
+    width: annotation.width || Math.max(TEXT_BOX.minWidth * scale, Math.ceil(linesWidth(lines, font)) + padding * 2),
+    height: Math.max(TEXT_BOX.height * scale, lines.length * lineHeight + padding * 2),
+    lines,
+    fontSize,
+    lineHeight,
+    padding,
+    align: annotation.align || 'left',
+  }
+}
@@ -0,0 +1,143 @@
+import { validateAnnotations } from '@/lib/project'
+import { isMarker } from '@/lib/numbering'
+
+// Tag identifying annotations we put on the system clipboard
+const CLIPBOARD_FORMAT = 'doc-image-annotator/annotations'
+
+// How far a duplicate or a same-image paste is offset from its source
+export const DUPLICATE_OFFSET = 16
+
+let idCounter = 0
+
+/**
+ * Unique annotation id. The counter keeps ids distinct when several
+ * annotations are created in the same millisecond (duplicate, paste).
+ */
+export function createAnnotationId(type) {
+  idCounter += 1
+  return `${type}-${Date.now()}-${idCounter}`
+}
+
+export function moveAnnotation(annotation, dx, dy) {
+  return { ...annotation, x: annotation.x + dx, y: annotation.y + dy }
+}
+
+/**
+ * Moves an annotation together with its leader line target or magnifier
+ * lens, as when the whole image moves. A plain move keeps those where
+ * they are.
+ */
+export function translateAnnotation(annotation, dx, dy) {
+  const moved = moveAnnotation(annotation, dx, dy)
+  if (annotation.leader) {
+    moved.leader = { x: annotation.leader.x + dx, y: annotation.leader.y + dy }
+  }
+  if (annotation.target) {
+    moved.target = { x: annotation.target.x + dx, y: annotation.target.y + dy }
+  }
+  return moved
+}
+
+/**
+ * Copies `sources` into `annotations` with fresh ids, offset by `offset`.
+ * Copied markers are appended to the step order and lose any pinned
+ * number, so they continue the numbering of the target document; leader
+ * line targets and magnifier lenses move with their copy. Copies are
+ * unlocked so they can be moved into place, and copies of a group form a
+ * new group of their own.
+ * Returns `{ annotations, added }` where `added` are the new copies.
+ */
+export function insertCopies(annotations, sources, offset = 0) {
+  const groups = new Map()
+  const added = sources.map((source) => {
+    const copy = translateAnnotation(
+      { ...source, id: createAnnotationId(source.type) },
+      offset,
+      offset
+    )
+    if (copy.type === 'marker') {
+      delete copy.pin
+    }
+    if (copy.group) {
+      if (!groups.has(copy.group)) groups.set(copy.group, createAnnotationId('group'))
+      copy.group = groups.get(copy.group)
+    }
+    delete copy.locked
+    return copy
+  })
+  return { annotations: [...annotations, ...added], added }
+}
+
+/**
+ * The annotations `ids` together with the rest of their groups, as ids in
+ * stacking order. A group is selected, moved and deleted as a whole.
+ */
+export function withGroups(annotations, ids) {
+  const groups = new Set(annotations.filter((a) => a.group && ids.includes(a.id)).map((a) => a.group))
+  return annotations
+    .filter((a) => ids.includes(a.id) || (a.group && groups.has(a.group)))
+    .map((a) => a.id)
+}
+
+/**
+ * Puts the annotations `ids` into one new group, taking them out of any
+ * group they were in.
+ */
+export function groupAnnotations(annotations, ids) {
+  const group = createAnnotationId('group')
+  return annotations.map((a) => (ids.includes(a.id) ? { ...a, group } : a))
+}
+
+export function ungroupAnnotations(annotations, ids) {
+  return annotations.map((a) => {
+    if (!ids.includes(a.id) || !a.group) return a
+    const ungrouped = { ...a }
+    delete ungrouped.group
+    return ungrouped
+  })
+}
+
+/**
+ * Moves annotation `id` to `index` in the stacking order (the array order;
+ * later annotations are drawn on top). Marker order is also step order, so
+ * a marker is only moved as far as the markers before and after it, and
+ * steps are never renumbered by restacking.
+ */
+export function restack(annotations, id, index) {
+  const from = annotations.findIndex((a) => a.id === id)
+  if (from === -1) return annotations
+  const moved = annotations[from]
+  const rest = annotations.filter((a) => a.id !== id)
+
+  let min = 0
+  let max = rest.length
+  if (isMarker(moved)) {
+    const previous = rest.slice(0, from).findLastIndex(isMarker)
+    const next = rest.slice(from).findIndex(isMarker)
+    min = previous + 1
+    max = next === -1 ? rest.length : from + next
+  }
+
+  const to = Math.max(min, Math.min(max, index))
+  if (to === from) return annotations
+  return [...rest.slice(0, to), moved, ...rest.slice(to)]
+}
+
+export function serializeClipboard(annotations) {
+  return JSON.stringify({ format: CLIPBOARD_FORMAT, annotations })
+}
+
+/**
+ * Parses clipboard text written by serializeClipboard.
+ * Returns null when the text is anything else.
+ */
+export function parseClipboard(text) {
+  try {
+    const data = JSON.parse(text)
+    if (data?.format !== CLIPBOARD_FORMAT) return null
+    validateAnnotations(data.annotations)
+    return data.annotations
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,136 @@
+import {
+  ARROW,
+  markerLabelLayout,
+  markerRadius,
+  textBoxLayout,
+} from '@/lib/annotationStyles'
+
+/**
+ * Arrow and leader line geometry, shared by the canvas and SVG export.
+ *
+ * An arrow annotation is anchored at its start point (`x`, `y`). `end` and
+ * the optional `mid` are offsets from the start. When `mid` is set the
+ * shaft is a quadratic curve passing through it; otherwise it's straight.
+ * `head` and `tail` name the end decorations (see ARROW_HEADS).
+ */
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y })
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y })
+const scale = (a, k) => ({ x: a.x * k, y: a.y * k })
+
+function rotate(v, degrees) {
+  const rad = degrees * Math.PI / 180
+  const cos = Math.cos(rad)
+  const sin = Math.sin(rad)
+  return { x: v.x * cos - v.y * sin, y: v.x * sin + v.y * cos }
+}
+
+function normalize(v) {
+  const length = Math.hypot(v.x, v.y)
+  return length === 0 ? { x: 1, y: 0 } : scale(v, 1 / length)
+}
+
+// Decoration at `tip`, pointing along the unit vector `dir`
+function headShape(kind, tip, dir, k) {
+  if (kind === 'none') return null
+  if (kind === 'dot') return { kind, center: tip, radius: ARROW.dotRadius * k }
+
+  const normal = { x: -dir.y, y: dir.x }
+  const base = sub(tip, scale(dir, ARROW.headLength * k))
+  return {
+    kind,
+    points: [
+      add(base, scale(normal, ARROW.headWidth * k / 2)),
+      tip,
+      sub(base, scale(normal, ARROW.headWidth * k / 2)),
+    ],
+  }
+}
+
+// Filled heads cover the end of the shaft, so the shaft stops at their base
+function shaftEnd(kind, tip, dir, k) {
+  return kind === 'triangle' ? sub(tip, scale(dir, ARROW.headLength * k * 0.8)) : tip
+}
+
+/**
+ * Geometry relative to the arrow's start point: the shaft as a start,
+ * optional quadratic control point and end, plus head/tail shapes.
+ * `glyphScale` enlarges the heads in the editor (1 in exports).
+ */
+export function arrowGeometry(annotation, glyphScale = 1) {
+  const start = { x: 0, y: 0 }
+  const end = annotation.end
+  const mid = annotation.mid
+  // Control point for a quadratic curve that passes through `mid` at t=0.5
+  const control = mid ? sub(scale(mid, 2), scale(add(start, end), 0.5)) : null
+
+  const headDir = normalize(sub(end, control || start))
+  const tailDir = normalize(sub(start, control || end))
+  const head = annotation.head || 'triangle'
+  const tail = annotation.tail || 'none'
+
+  return {
+    start: shaftEnd(tail, start, tailDir, glyphScale),
+    control,
+    end: shaftEnd(head, end, headDir, glyphScale),
+    head: headShape(head, end, headDir, glyphScale),
+    tail: headShape(tail, start, tailDir, glyphScale),
+  }
+}
+
+// Where the curve is at t=0.5, i.e. where the bend handle sits
+export function arrowMidpoint(annotation) {
+  return annotation.mid || scale(annotation.end, 0.5)
+}
+
+function nearestPointOnRect(point, rect) {
+  return {
+    x: Math.min(Math.max(point.x, rect.x), rect.x + rect.width),
+    y: Math.min(Math.max(point.y, rect.y), rect.y + rect.height),
+  }
+}
+
+function isInsideRect(point, rect) {
+  return point.x > rect.x && point.x < rect.x + rect.width &&
+    point.y > rect.y && point.y < rect.y + rect.height
+}
+
+/**
+ * Start of a leader line from a marker (its label box, or the circle when
+ * there is no label) or a text box to `annotation.leader`, in image
+ * pixels. `style` is the annotation's preset, which sets the marker size;
+ * `glyphScale` is the editor's glyph enlargement (1 in exports).
+ * Returns null when the target lies under the box itself.
+ */
+export function leaderStart(annotation, style, glyphScale = 1) {
+  const origin = { x: annotation.x, y: annotation.y }
+  // Work in the annotation's own frame, which text boxes may rotate
+  const rotation = annotation.type === 'text' ? annotation.rotation || 0 : 0
+  const target = rotate(sub(annotation.leader, origin), -rotation)
+
+  let box
+  if (annotation.type === 'marker') {
+    const radius = markerRadius(style)
+    if (!annotation.label) {
+      if (Math.hypot(target.x, target.y) <= radius * glyphScale) return null
+      return add(origin, scale(normalize(target), radius * glyphScale))
+    }
+    const label = markerLabelLayout(annotation, style)
+    box = {
+      x: label.x * glyphScale,
+      y: label.y * glyphScale,
+      width: label.width * glyphScale,
+      height: label.height * glyphScale,
+    }
+  } else {
+    const { width, height } = textBoxLayout(annotation)
+    box = { x: 0, y: 0, width: width * glyphScale, height: height * glyphScale }
+  }
+
+  if (isInsideRect(target, box)) return null
+  return add(origin, rotate(nearestPointOnRect(target, box), rotation))
+}
+
+export function supportsLeader(annotation) {
+  return annotation.type === 'marker' || annotation.type === 'text'
+}
@@ -0,0 +1,184 @@
+/**
+ * Cropping, trimming and padding the base image
+ *
+ * All three replace a page's image with a rectangle cut from the old one,
+ * in image pixels: a crop or trim rectangle lies inside the image, a
+ * padded one reaches past every edge and the margin is filled with a
+ * color. Annotations are stored in image pixels, so they shift by the
+ * rectangle's origin to stay on what they point at, as does a floating
+ * legend.
+ *
+ * The new image is re-encoded as a PNG data URL, like a pasted screenshot.
+ */
+
+import { translateAnnotation } from '@/lib/annotations'
+import { loadImageElement } from '@/lib/image'
+
+// `ratio` is width / height; 'original' keeps the image's own
+export const ASPECT_RATIOS = [
+  { id: 'free', label: 'Free' },
+  { id: 'original', label: 'Original' },
+  { id: '16:9', label: '16:9', ratio: 16 / 9 },
+  { id: '4:3', label: '4:3', ratio: 4 / 3 },
+  { id: '1:1', label: '1:1', ratio: 1 },
+]
+
+// Smallest crop, in image pixels
+export const MIN_CROP_SIZE = 8
+
+// How far a channel (0-255) may differ from the border color and still
+// count as border, so JPEG noise doesn't stop a trim
+export const TRIM_TOLERANCE = 12
+
+export const DEFAULT_PADDING = { size: 40, color: '#ffffff' }
+
+export function aspectRatio(id, imageSize) {
+  if (id === 'original') return imageSize.width / imageSize.height
+  return ASPECT_RATIOS.find((a) => a.id === id)?.ratio ?? null
+}
+
+/**
+ * `rect` snapped to whole pixels and kept inside the image, at least
+ * MIN_CROP_SIZE on each side.
+ */
+export function clampCropRect(rect, imageSize) {
+  const width = Math.round(Math.min(imageSize.width, Math.max(MIN_CROP_SIZE, rect.width)))
+  const height = Math.round(Math.min(imageSize.height, Math.max(MIN_CROP_SIZE, rect.height)))
+  return {
+    x: Math.round(Math.min(imageSize.width - width, Math.max(0, rect.x))),
+    y: Math.round(Math.min(imageSize.height - height, Math.max(0, rect.y))),
+    width,
+    height,
+  }
+}
+
+/**
+ * The largest rectangle of aspect `ratio` that fits in `rect`, centered
+ * on it. A null ratio leaves the rectangle as it is.
+ */
+export function fitAspect(rect, ratio, imageSize) {
+  if (!ratio) return clampCropRect(rect, imageSize)
+  let width = rect.width
+  let height = width / ratio
+  if (height > rect.height) {
+    height = rect.height
+    width = height * ratio
+  }
+  return clampCropRect({
+    x: rect.x + (rect.width - width) / 2,
+    y: rect.y + (rect.height - height) / 2,
+    width,
+    height,
+  }, imageSize)
+}
+
+export function fullImageRect(imageSize) {
+  return { x: 0, y: 0, width: imageSize.width, height: imageSize.height }
+}
+
+/**
+ * The rectangle padding of `size` pixels on every side cuts from the image.
+ */
+export function paddedRect(imageSize, size) {
+  return {
+    x: -size,
+    y: -size,
+    width: imageSize.width + size * 2,
+    height: imageSize.height + size * 2,
+  }
+}
+
+/**
+ * The image without its uniform border, from RGBA pixel `data` of an
+ * image `width` by `height`, or null if there is no border or the image
+ * is a single color. Each edge is compared against its own corner pixel,
+ * so e.g. a title bar and a different bottom margin both trim.
+ */
+export function findTrimRect(data, width, height, tolerance = TRIM_TOLERANCE) {
+  const offset = (x, y) => (y * width + x) * 4
+  const matches = (x, y, ref) => {
+    const i = offset(x, y)
+    for (let c = 0; c < 4; c++) {
+      if (Math.abs(data[i + c] - data[ref + c]) > tolerance) return false
+    }
+    return true
+  }
+  const rowMatches = (y, left, right, ref) => {
+    for (let x = left; x < right; x++) {
+      if (!matches(x, y, ref)) return false
+    }
+    return true
+  }
+  const columnMatches = (x, top, bottom, ref) => {
+    for (let y = top; y < bottom; y++) {
+      if (!matches(x, y, ref)) return false
+    }
+    return true
+  }
+
+  let top = 0
+  while (top < height && rowMatches(top, 0, width, offset(0, 0))) top++
+  if (top === height) return null
+  // The other edges stop short of the opposite one, so at least a pixel is left
+  let bottom = height
+  while (bottom - 1 > top && rowMatches(bottom - 1, 0, width, offset(0, height - 1))) bottom--
+  let left = 0
+  while (left + 1 < width && columnMatches(left, top, bottom, offset(0, top))) left++
+  let right = width
+  while (right - 1 > left && columnMatches(right - 1, top, bottom, offset(width - 1, top))) right--
+
+  if (top === 0 && left === 0 && bottom === height && right === width) return null
+  return { x: left, y: top, width: right - left, height: bottom - top }
+}
+
+/**
+ * Finds the uniform border of `image` ({ src, width, height }); see
+ * findTrimRect.
+ */
+export async function trimRect(image, tolerance = TRIM_TOLERANCE) {
+  const img = await loadImageElement(image.src)
+  const canvas = document.createElement('canvas')
+  canvas.width = image.width
+  canvas.height = image.height
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  ctx.drawImage(img, 0, 0, image.width, image.height)
+  const { data } = ctx.getImageData(0, 0, image.width, image.height)
+  return findTrimRect(data, image.width, image.height, tolerance)
+}
+
+/**
+ * A new image ({ src, width, height }) holding `rect` of `image`. Parts of
+ * the rectangle outside the image are filled with `background`.
+ */
+export async function reframeImage(image, rect, background) {
+  const img = await loadImageElement(image.src)
+  const canvas = document.createElement('canvas')
+  canvas.width = rect.width
+  canvas.height = rect.height
+  const ctx = canvas.getContext('2d')
+  if (background) {
+    ctx.fillStyle = background
+    ctx.fillRect(0, 0, rect.width, rect.height)
+  }
+  ctx.drawImage(img, -rect.x, -rect.y, image.width, image.height)
+  return { src: canvas.toDataURL('image/png'), width: rect.width, height: rect.height }
+}
+
+/**
+ * `page` with `image`, cut at `rect` of its old image: annotations and a
+ * floating legend move with the pixels under them. Annotations left
+ * outside the new image are kept, so nothing is lost without notice.
+ */
+export function reframePage(page, rect, image) {
+  const dx = -rect.x
+  const dy = -rect.y
+  return {
+    ...page,
+    image,
+    annotations: page.annotations.map((a) => translateAnnotation(a, dx, dy)),
+    legendPosition: page.legendPosition && {
+      x: page.legendPosition.x + dx,
+      y: page.legendPosition.y + dy,
+    },
+  }
+}
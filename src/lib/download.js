@@ -0,0 +1,28 @@
+/**
+ * Triggers a browser download for a URL (data URL or object URL).
+ */
+export function downloadURL(href, filename) {
+  const link = document.createElement('a')
+  link.download = filename
+  link.href = href
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+}
+
+/**
+ * Triggers a browser download for a Blob, releasing the object URL afterwards.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  downloadURL(url, filename)
+  // Revoke on the next tick so the click has a chance to start the download
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Timestamp suitable for filenames, e.g. 2024-05-01T12-30-00
+ */
+export function fileTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-').slice(0, -5)
+}
@@ -0,0 +1,152 @@
+import { downloadBlob } from '@/lib/download'
+
+/**
+ * Raster export
+ *
+ * Exports are cropped to the image rectangle (optionally grown to include
+ * annotations hanging off the edge) and rendered relative to the source
+ * image's pixel size, not the window. The canvas component switches itself
+ * into export mode (identity view transform, no selection chrome) and
+ * hands its stage to the functions here.
+ */
+
+export const EXPORT_SCALES = [1, 2, 3]
+
+// `lossy` formats take a quality setting; formats without `alpha` are
+// always flattened onto the background color
+export const EXPORT_FORMATS = [
+  { id: 'png', label: 'PNG', extension: 'png', mimeType: 'image/png', alpha: true },
+  { id: 'jpeg', label: 'JPEG', extension: 'jpg', mimeType: 'image/jpeg', lossy: true },
+  { id: 'webp', label: 'WebP', extension: 'webp', mimeType: 'image/webp', alpha: true, lossy: true },
+  // Vector annotations over the embedded image; see @/lib/svg
+  { id: 'svg', label: 'SVG', extension: 'svg', mimeType: 'image/svg+xml', alpha: true, vector: true },
+]
+
+export function exportFormat(id) {
+  return EXPORT_FORMATS.find((f) => f.id === id)
+}
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  format: 'png',
+  scale: 1,
+  // When set, overrides `scale` so the output is at most this wide
+  maxWidth: null,
+  includeOverhang: false,
+  background: 'transparent',
+  backgroundColor: '#ffffff',
+  // Encoder quality for lossy formats, 0-1
+  quality: 0.9,
+  // Export every page of a guide into one ZIP
+  allPages: false,
+}
+
+/**
+ * Area to export, in image pixels.
+ * `contentRect` is the bounding box of everything drawn on the canvas.
+ */
+export function exportBounds(imageSize, contentRect, { includeOverhang }) {
+  if (!includeOverhang || !contentRect) {
+    return { x: 0, y: 0, width: imageSize.width, height: imageSize.height }
+  }
+
+  const x = Math.floor(Math.min(0, contentRect.x))
+  const y = Math.floor(Math.min(0, contentRect.y))
+  return {
+    x,
+    y,
+    width: Math.ceil(Math.max(imageSize.width, contentRect.x + contentRect.width)) - x,
+    height: Math.ceil(Math.max(imageSize.height, contentRect.y + contentRect.height)) - y,
+  }
+}
+
+export function exportPixelRatio(bounds, { scale, maxWidth }) {
+  if (maxWidth) {
+    return Math.min(1, maxWidth / bounds.width)
+  }
+  return scale
+}
+
+/**
+ * Final output size in pixels for the given options.
+ */
+export function measureExport(imageSize, contentRect, options) {
+  const bounds = exportBounds(imageSize, contentRect, options)
+  const pixelRatio = exportPixelRatio(bounds, options)
+  return {
+    bounds,
+    pixelRatio,
+    width: Math.round(bounds.width * pixelRatio),
+    height: Math.round(bounds.height * pixelRatio),
+  }
+}
+
+/**
+ * Renders a stage that is in export mode to a new canvas.
+ * This is the single raster render path shared by every raster format
+ * and the clipboard, so they all produce identical pixels.
+ */
+export function renderStage(stage, imageSize, options) {
+  const layer = stage.getLayers()[0]
+  const { bounds, pixelRatio, width, height } = measureExport(
+    imageSize,
+    layer.getClientRect(),
+    options
+  )
+
+  const rendered = stage.toCanvas({ ...bounds, pixelRatio })
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  if (options.background === 'opaque' || !exportFormat(options.format)?.alpha) {
+    ctx.fillStyle = options.backgroundColor
+    ctx.fillRect(0, 0, width, height)
+  }
+  ctx.drawImage(rendered, 0, 0, width, height)
+  return canvas
+}
+
+export function canvasToBlob(canvas, options) {
+  const format = exportFormat(options.format)
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error(`${format.label} encoding failed`))),
+      format.mimeType,
+      format.lossy ? options.quality : undefined
+    )
+  })
+}
+
+/**
+ * Renders and encodes the canvas in the format named by `options.format`.
+ */
+export function renderCanvasToBlob(canvasRef, options) {
+  return canvasToBlob(canvasRef.current.renderToCanvas(options), options)
+}
+
+export async function exportCanvasToFile(canvasRef, basename, options = DEFAULT_EXPORT_OPTIONS) {
+  if (!canvasRef.current) return
+
+  const blob = await renderCanvasToBlob(canvasRef, options)
+  downloadBlob(blob, `${basename}.${exportFormat(options.format).extension}`)
+}
+
+/**
+ * Writes the rendered PNG to the system clipboard.
+ * The blob is passed as a promise so the write still counts as part of
+ * the user gesture in browsers that require it (Safari).
+ */
+export async function copyCanvasToClipboard(canvasRef, options = DEFAULT_EXPORT_OPTIONS) {
+  if (!navigator.clipboard?.write || typeof ClipboardItem === 'undefined') {
+    throw new Error('This browser does not support copying images to the clipboard.')
+  }
+  const blob = renderCanvasToBlob(canvasRef, { ...options, format: 'png' })
+  await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })])
+}
+
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`
+}
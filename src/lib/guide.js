@@ -0,0 +1,73 @@
+/**
+ * Guides
+ *
+ * The document is a guide: an ordered list of pages, each a screenshot
+ * with its own annotations, plus marker numbering settings (see
+ * @/lib/numbering), style presets (see @/lib/presets) and step legend
+ * settings (see @/lib/legend) shared by all pages. A single screenshot is
+ * a one-page guide.
+ */
+
+let pageCounter = 0
+
+export function createPageId() {
+  pageCounter += 1
+  return `page-${Date.now()}-${pageCounter}`
+}
+
+export function createPage(image, name) {
+  return { id: createPageId(), name, image, annotations: [] }
+}
+
+/**
+ * Page name from an image filename, without its extension.
+ */
+export function pageNameFromFile(filename) {
+  return filename.replace(/\.[^.]+$/, '') || 'Screenshot'
+}
+
+function slugify(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+/**
+ * Export filename of a page, numbered by its position so the files sort
+ * in guide order: `01-login.png`. At least two digits, more for long
+ * guides.
+ */
+export function pageFilename(page, index, pageCount, extension) {
+  const digits = Math.max(2, String(pageCount).length)
+  const number = String(index + 1).padStart(digits, '0')
+  return `${number}-${slugify(page.name) || 'page'}.${extension}`
+}
+
+export function updatePage(guide, id, update) {
+  return {
+    ...guide,
+    pages: guide.pages.map((page) => (page.id === id ? update(page) : page)),
+  }
+}
+
+/**
+ * Inserts `added` pages after the page `afterId` (at the end when it is
+ * not found).
+ */
+export function insertPages(pages, added, afterId) {
+  const index = pages.findIndex((page) => page.id === afterId)
+  if (index === -1) return [...pages, ...added]
+  return [...pages.slice(0, index + 1), ...added, ...pages.slice(index + 1)]
+}
+
+export function movePage(pages, id, index) {
+  const from = pages.findIndex((page) => page.id === id)
+  if (from === -1 || from === index) return pages
+  const reordered = [...pages]
+  const [moved] = reordered.splice(from, 1)
+  reordered.splice(index, 0, moved)
+  return reordered
+}
@@ -0,0 +1,34 @@
+/**
+ * Reads an image file into a data URL and resolves with its natural size.
+ *
+ * The data URL is what gets embedded in project files, so the image
+ * survives without the original file on disk.
+ */
+export function readImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = (e) => {
+      loadImageElement(e.target.result)
+        .then((img) => resolve({
+          src: e.target.result,
+          width: img.naturalWidth,
+          height: img.naturalHeight,
+        }))
+        .catch(reject)
+    }
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(file)
+  })
+}
+
+/**
+ * Loads a URL into an HTMLImageElement.
+ */
+export function loadImageElement(src) {
+  return new Promise((resolve, reject) => {
+    const img = new window.Image()
+    img.onload = () => resolve(img)
+    img.onerror = () => reject(new Error('The image could not be decoded'))
+    img.src = src
+  })
+}
@@ -0,0 +1,121 @@
+/**
+ * Keyboard shortcuts
+ *
+ * Single source of truth for every shortcut: the global keydown handler
+ * dispatches from this list and the sidebar "Keyboard Shortcuts" card is
+ * rendered from it, so the two can't drift apart.
+ *
+ * Key combos are written as `Mod+Shift+Z`, where `Mod` is Ctrl on
+ * Windows/Linux and Cmd on macOS, and `Plus` stands for the + key.
+ * Modifiers must match exactly, so `V` does not fire for Ctrl+V.
+ */
+
+const NUDGE_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown']
+
+/**
+ * Builds the keymap. Tool switching entries come from the `shortcut`
+ * field of each tool definition.
+ */
+export function createKeymap(tools) {
+  return [
+    ...tools
+      .filter((t) => t.shortcut)
+      .map((t) => ({ action: `tool:${t.id}`, keys: [t.shortcut], label: `${t.label} tool` })),
+    { action: 'undo', keys: ['Mod+Z'], label: 'Undo' },
+    { action: 'redo', keys: ['Mod+Shift+Z', 'Mod+Y'], label: 'Redo' },
+    { action: 'delete', keys: ['Delete', 'Backspace'], label: 'Delete selection' },
+    { action: 'nudge', keys: NUDGE_KEYS, label: 'Nudge 1px', display: 'Arrows' },
+    {
+      action: 'nudge-large',
+      keys: NUDGE_KEYS.map((k) => `Shift+${k}`),
+      label: 'Nudge 10px',
+      display: 'Shift+Arrows',
+    },
+    { action: 'duplicate', keys: ['Mod+D'], label: 'Duplicate' },
+    { action: 'select-all', keys: ['Mod+A'], label: 'Select all' },
+    { action: 'deselect', keys: ['Escape'], label: 'Deselect' },
+    // Most layouts need Shift for +, the numeric keypad doesn't
+    {
+      action: 'zoom-in',
+      keys: ['Mod+=', 'Mod+Plus', 'Mod+Shift+Plus'],
+      label: 'Zoom in',
+      display: 'Ctrl/Cmd+Plus',
+    },
+    { action: 'zoom-out', keys: ['Mod+-'], label: 'Zoom out' },
+    { action: 'zoom-fit', keys: ['Mod+0'], label: 'Fit to view' },
+    { action: 'zoom-actual', keys: ['Mod+1'], label: 'Actual size' },
+    { action: 'previous-page', keys: ['PageUp'], label: 'Previous page' },
+    { action: 'next-page', keys: ['PageDown'], label: 'Next page' },
+    // Space is handled by the canvas, which needs key up as well as down
+    { action: 'pan', keys: ['Space'], label: 'Pan', display: 'Space+Drag' },
+    // Copy and paste are handled through the native clipboard events so
+    // they can read and write clipboard data; listed here for the card.
+    { action: 'copy', keys: ['Mod+C'], label: 'Copy selection' },
+    { action: 'copy-image', keys: ['Mod+Shift+C'], label: 'Copy image' },
+    { action: 'paste', keys: ['Mod+V'], label: 'Paste image or annotations' },
+  ]
+}
+
+function parseCombo(combo) {
+  const parts = combo.split('+')
+  const key = parts.pop()
+  return {
+    key: key === 'Plus' ? '+' : key.length === 1 ? key.toLowerCase() : key,
+    mod: parts.includes('Mod'),
+    shift: parts.includes('Shift'),
+    alt: parts.includes('Alt'),
+  }
+}
+
+export function matchesCombo(e, combo) {
+  const { key, mod, shift, alt } = parseCombo(combo)
+  const eventKey = e.key.length === 1 ? e.key.toLowerCase() : e.key
+  return eventKey === key &&
+    (e.ctrlKey || e.metaKey) === mod &&
+    e.shiftKey === shift &&
+    e.altKey === alt
+}
+
+/**
+ * Finds the keymap entry matching a keydown event.
+ */
+export function findShortcut(keymap, e) {
+  return keymap.find((entry) => entry.keys.some((combo) => matchesCombo(e, combo)))
+}
+
+/**
+ * Human-readable form of an entry's keys, e.g. "Ctrl/Cmd+Shift+Z".
+ */
+export function formatShortcut(entry) {
+  if (entry.display) return entry.display
+  return entry.keys
+    .map((combo) => combo.replace('Mod', 'Ctrl/Cmd'))
+    .join(' / ')
+}
+
+/**
+ * Direction of an arrow key press, or null for other keys.
+ */
+export function nudgeDelta(e) {
+  switch (e.key) {
+    case 'ArrowLeft': return { dx: -1, dy: 0 }
+    case 'ArrowRight': return { dx: 1, dy: 0 }
+    case 'ArrowUp': return { dx: 0, dy: -1 }
+    case 'ArrowDown': return { dx: 0, dy: 1 }
+    default: return null
+  }
+}
+
+export function isEditableTarget(target) {
+  return target instanceof HTMLElement &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+}
+
+/**
+ * Whether canvas shortcuts should ignore a key event: the user is typing,
+ * or a modal dialog has focus.
+ */
+export function isShortcutBlocked(target) {
+  return isEditableTarget(target) ||
+    (target instanceof HTMLElement && target.closest('[role="dialog"]') !== null)
+}
@@ -0,0 +1,112 @@
+/**
+ * Step legend
+ *
+ * An optional block listing the page's labeled markers as numbered steps,
+ * drawn by the canvas and the SVG exporter from the layout computed here.
+ * A legend docked to the right of or below the screenshot grows the
+ * export instead of covering the image; a floating one sits on top of the
+ * image wherever it was dragged to, per page (`page.legendPosition`).
+ *
+ * Labels are wrapped on measured text widths (see @/lib/textMetrics).
+ */
+
+import { MARKER_LABEL, styleFor, textFont } from '@/lib/annotationStyles'
+import { wrapText } from '@/lib/textMetrics'
+import { markerSteps } from '@/lib/numbering'
+
+export const LEGEND_PLACEMENTS = [
+  { id: 'none', label: 'Off' },
+  { id: 'right', label: 'Right of image' },
+  { id: 'below', label: 'Below image' },
+  { id: 'floating', label: 'Floating' },
+]
+
+export const DEFAULT_LEGEND = { placement: 'none' }
+
+export const LEGEND = {
+  // Between the image and a docked legend
+  gap: 24,
+  width: 320,
+  padding: 16,
+  rowGap: 10,
+  // Sub-steps are indented under their step
+  substepIndent: 20,
+  markerRadius: 13,
+  markerStrokeWidth: 2,
+  // Between the marker and the label
+  textGap: 10,
+  fontSize: MARKER_LABEL.fontSize,
+  // Multiple of fontSize
+  lineHeight: 1.4,
+  fill: 'rgba(255,255,255,0.95)',
+  stroke: '#e5e7eb',
+  textColor: MARKER_LABEL.textColor,
+  strokeWidth: 1,
+  cornerRadius: 6,
+  // Where a floating legend starts, from the image's top-left corner
+  inset: 16,
+  shadow: MARKER_LABEL.shadow,
+}
+
+/**
+ * Layout of the legend for a page, in image pixels, or null when the
+ * legend is off or no marker has a label:
+ * `{ x, y, width, height, docked, rows }`, where each row is
+ * `{ id, number, style, lines, x, y, height, markerY, textX, textY }`
+ * relative to the legend's corner (`markerY` is the marker center,
+ * `textY` the top of the first line).
+ */
+export function legendLayout({ annotations, numbering, presets, imageSize, placement, position }) {
+  if (!imageSize || !placement || placement === 'none') return null
+  const steps = markerSteps(annotations, numbering).filter((step) => step.marker.label.trim())
+  if (steps.length === 0) return null
+
+  const width = placement === 'below' ? Math.max(LEGEND.width, imageSize.width) : LEGEND.width
+  const lineHeight = LEGEND.fontSize * LEGEND.lineHeight
+  const radius = LEGEND.markerRadius
+
+  let y = LEGEND.padding
+  const rows = steps.map(({ marker, text }) => {
+    const x = LEGEND.padding + (marker.substep ? LEGEND.substepIndent : 0)
+    const textX = x + radius * 2 + LEGEND.textGap
+    const lines = wrapText(marker.label.trim(), width - textX - LEGEND.padding, textFont(LEGEND.fontSize))
+    // The first line is centered on the marker
+    const textY = y + Math.max(0, radius - lineHeight / 2)
+    const height = Math.max(radius * 2, textY - y + lines.length * lineHeight)
+    const row = {
+      id: marker.id,
+      number: text,
+      style: styleFor(marker, presets),
+      lines,
+      x,
+      y,
+      height,
+      markerY: y + radius,
+      textX,
+      textY,
+    }
+    y += height + LEGEND.rowGap
+    return row
+  })
+  const height = y - LEGEND.rowGap + LEGEND.padding
+
+  if (placement === 'right') {
+    return { x: imageSize.width + LEGEND.gap, y: 0, width, height, docked: true, rows }
+  }
+  if (placement === 'below') {
+    return { x: 0, y: imageSize.height + LEGEND.gap, width, height, docked: true, rows }
+  }
+  const at = position || { x: LEGEND.inset, y: LEGEND.inset }
+  return { x: at.x, y: at.y, width, height, docked: false, rows }
+}
+
+/**
+ * Size of the exported page: the image, grown to take in a docked legend.
+ */
+export function outputSize(imageSize, layout) {
+  if (!layout?.docked) return { width: imageSize.width, height: imageSize.height }
+  return {
+    width: Math.ceil(Math.max(imageSize.width, layout.x + layout.width)),
+    height: Math.ceil(Math.max(imageSize.height, layout.y + layout.height)),
+  }
+}
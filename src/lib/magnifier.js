@@ -0,0 +1,108 @@
+/**
+ * Magnifier geometry, shared by the canvas and SVG export.
+ *
+ * A magnifier annotation is a source region of the image (`x`, `y`,
+ * `width`, `height`) and a lens centered on `target`, both in image
+ * pixels, so either end can be moved on its own. The lens shows the
+ * region `zoom` times larger, sampled from the full-resolution base
+ * image, and a connector runs between the facing edges of the two.
+ * A circular lens is large enough to hold the whole region.
+ */
+
+export const MAGNIFIER_ZOOMS = [2, 3, 4]
+
+export const MAGNIFIER_SHAPES = [
+  { id: 'circle', label: 'Circle' },
+  { id: 'rounded', label: 'Rounded' },
+]
+
+export const MAGNIFIER = {
+  zoom: 2,
+  shape: 'circle',
+  cornerRadius: 12,
+  // Between the region and a new lens
+  gap: 32,
+  connectorWidth: 2,
+  shadow: { color: 'rgba(0,0,0,0.3)', blur: 8, offsetX: 0, offsetY: 2 },
+}
+
+function sourceCenter(annotation) {
+  return { x: annotation.x + annotation.width / 2, y: annotation.y + annotation.height / 2 }
+}
+
+function lensSize({ width, height, zoom = MAGNIFIER.zoom, shape = MAGNIFIER.shape }) {
+  if (shape === 'circle') {
+    const diameter = Math.hypot(width, height) * zoom
+    return { width: diameter, height: diameter }
+  }
+  return { width: width * zoom, height: height * zoom }
+}
+
+/**
+ * The lens box `{ x, y, width, height, cornerRadius }` and the scaled
+ * image under it: the image is drawn `zoom` times larger with its origin
+ * at `imageX`, `imageY`.
+ */
+export function lensLayout(annotation) {
+  const zoom = annotation.zoom || MAGNIFIER.zoom
+  const { width, height } = lensSize(annotation)
+  const center = annotation.target
+  const source = sourceCenter(annotation)
+  return {
+    x: center.x - width / 2,
+    y: center.y - height / 2,
+    width,
+    height,
+    // A square with fully rounded corners is the circle
+    cornerRadius: annotation.shape === 'rounded' ? MAGNIFIER.cornerRadius : width / 2,
+    zoom,
+    imageX: center.x - source.x * zoom,
+    imageY: center.y - source.y * zoom,
+  }
+}
+
+// Fraction of `d` from a box's center to its edge
+function edgeDistance(d, halfWidth, halfHeight, round) {
+  const length = Math.hypot(d.x, d.y)
+  if (round) return halfWidth / length
+  return Math.min(
+    d.x === 0 ? Infinity : halfWidth / Math.abs(d.x),
+    d.y === 0 ? Infinity : halfHeight / Math.abs(d.y)
+  )
+}
+
+/**
+ * Connector `{ start, end }` from the region's edge to the lens's, or
+ * null while the lens overlaps the region.
+ */
+export function magnifierConnector(annotation) {
+  const from = sourceCenter(annotation)
+  const to = annotation.target
+  const d = { x: to.x - from.x, y: to.y - from.y }
+  if (d.x === 0 && d.y === 0) return null
+
+  const lens = lensSize(annotation)
+  const startT = edgeDistance(d, annotation.width / 2, annotation.height / 2, false)
+  const endT = edgeDistance(d, lens.width / 2, lens.height / 2, annotation.shape !== 'rounded')
+  if (startT + endT >= 1) return null
+  return {
+    start: { x: from.x + d.x * startT, y: from.y + d.y * startT },
+    end: { x: to.x - d.x * endT, y: to.y - d.y * endT },
+  }
+}
+
+/**
+ * Where a new magnifier's lens goes: beside the region, on the right
+ * unless only the left has room, and kept inside the image vertically.
+ */
+export function defaultLensTarget(annotation, imageSize) {
+  const lens = lensSize(annotation)
+  const right = annotation.x + annotation.width + MAGNIFIER.gap + lens.width / 2
+  const left = annotation.x - MAGNIFIER.gap - lens.width / 2
+  const x = right + lens.width / 2 > imageSize.width && left - lens.width / 2 >= 0 ? left : right
+  const y = Math.min(
+    Math.max(sourceCenter(annotation).y, lens.height / 2),
+    Math.max(lens.height / 2, imageSize.height - lens.height / 2)
+  )
+  return { x, y }
+}
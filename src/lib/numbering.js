@@ -0,0 +1,186 @@
+/**
+ * Marker numbering
+ *
+ * Marker numbers are not stored on the markers. They are derived from the
+ * order of the markers in the annotations array and the document's
+ * numbering settings, so deleting or reordering a step renumbers the rest.
+ *
+ * Per-marker options:
+ * - `pin`: a fixed number. The automatic sequence skips pinned numbers, so
+ *   they never appear twice.
+ * - `substep`: numbered under the previous step (2.1, 2.2, ...) instead of
+ *   taking a number of its own.
+ *
+ * Hidden markers are left out of exports, so they take no number either.
+ */
+
+export const NUMBERING_SCHEMES = [
+  { id: 'decimal', label: '1, 2, 3' },
+  { id: 'upper-alpha', label: 'A, B, C' },
+  { id: 'lower-alpha', label: 'a, b, c' },
+  { id: 'upper-roman', label: 'I, II, III' },
+  { id: 'lower-roman', label: 'i, ii, iii' },
+]
+
+export const DEFAULT_NUMBERING = {
+  start: 1,
+  scheme: 'decimal',
+  // In a multi-page guide, each page continues from the previous one
+  continuous: true,
+}
+
+const ROMAN_NUMERALS = [
+  [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'],
+  [100, 'C'], [90, 'XC'], [50, 'L'], [40, 'XL'],
+  [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I'],
+]
+
+function toRoman(value) {
+  let rest = value
+  let result = ''
+  for (const [amount, numeral] of ROMAN_NUMERALS) {
+    while (rest >= amount) {
+      result += numeral
+      rest -= amount
+    }
+  }
+  return result
+}
+
+// 1 -> A, 26 -> Z, 27 -> AA
+function toAlpha(value) {
+  let rest = value
+  let result = ''
+  while (rest > 0) {
+    rest -= 1
+    result = String.fromCharCode(65 + (rest % 26)) + result
+    rest = Math.floor(rest / 26)
+  }
+  return result
+}
+
+/**
+ * Formats a step number in a scheme. Values the scheme can't express
+ * (zero, negatives, roman numerals past 3999) fall back to decimal.
+ */
+export function formatNumber(value, scheme) {
+  if (value < 1) return String(value)
+  switch (scheme) {
+    case 'upper-alpha':
+      return toAlpha(value)
+    case 'lower-alpha':
+      return toAlpha(value).toLowerCase()
+    case 'upper-roman':
+      return value < 4000 ? toRoman(value) : String(value)
+    case 'lower-roman':
+      return value < 4000 ? toRoman(value).toLowerCase() : String(value)
+    default:
+      return String(value)
+  }
+}
+
+export function isMarker(annotation) {
+  return annotation.type === 'marker'
+}
+
+// Markers that are part of the numbered steps
+function isStep(annotation) {
+  return isMarker(annotation) && !annotation.hidden
+}
+
+export function isPinned(marker) {
+  return Number.isInteger(marker.pin)
+}
+
+/**
+ * Markers in step order with their number: `{ marker, value, text, auto }`,
+ * where `value` is the top-level step number (the parent's, for a
+ * sub-step), `text` is what the marker displays and `auto` is set for
+ * numbers taken from the automatic sequence. The automatic sequence also
+ * skips `numbering.skip`, numbers pinned on earlier pages.
+ */
+export function markerSteps(annotations, numbering = DEFAULT_NUMBERING) {
+  const markers = annotations.filter(isStep)
+  const pinned = new Set([
+    ...(numbering.skip ?? []),
+    ...markers.filter((m) => isPinned(m) && !m.substep).map((m) => m.pin),
+  ])
+
+  let next = numbering.start
+  // Number of the last top-level step, which sub-steps hang off
+  let parent = null
+  let substep = 0
+
+  return markers.map((marker) => {
+    if (marker.substep && parent !== null) {
+      substep += 1
+      return {
+        marker,
+        value: parent,
+        text: `${formatNumber(parent, numbering.scheme)}.${substep}`,
+        auto: false,
+      }
+    }
+
+    const auto = !isPinned(marker)
+    let value = marker.pin
+    if (auto) {
+      while (pinned.has(next)) next += 1
+      value = next
+      next += 1
+    }
+    parent = value
+    substep = 0
+    return { marker, value, text: formatNumber(value, numbering.scheme), auto }
+  })
+}
+
+/**
+ * Display number of every marker, as a Map of id -> text.
+ */
+export function markerNumbers(annotations, numbering = DEFAULT_NUMBERING) {
+  return new Map(markerSteps(annotations, numbering).map((step) => [step.marker.id, step.text]))
+}
+
+/**
+ * Effective numbering of each page of a guide. With `continuous`
+ * numbering a page starts after the last automatic number of the page
+ * before it and skips the numbers pinned on earlier pages; otherwise
+ * every page starts at `numbering.start`.
+ */
+export function pageNumberings(pages, numbering = DEFAULT_NUMBERING) {
+  if (!numbering.continuous) return pages.map(() => numbering)
+  let start = numbering.start
+  let skip = []
+  return pages.map((page) => {
+    const pageNumbering = { ...numbering, start, skip }
+    const steps = markerSteps(page.annotations, pageNumbering)
+    start = steps
+      .filter((step) => step.auto)
+      .reduce((max, step) => Math.max(max, step.value), start - 1) + 1
+    // Pins below the next start can't collide any more
+    skip = [
+      ...skip,
+      ...steps.filter((step) => isPinned(step.marker) && !step.marker.substep).map((step) => step.value),
+    ].filter((value) => value >= start)
+    return pageNumbering
+  })
+}
+
+/**
+ * Moves the marker `id` to position `index` in the step order. Markers
+ * trade places within the array slots steps already occupy, so the
+ * stacking order of other annotations is untouched.
+ */
+export function moveMarker(annotations, id, index) {
+  const markers = annotations.filter(isStep)
+  const from = markers.findIndex((m) => m.id === id)
+  if (from === -1 || from === index) return annotations
+
+  const reordered = [...markers]
+  const [moved] = reordered.splice(from, 1)
+  reordered.splice(index, 0, moved)
+
+  let slot = 0
+  return annotations.map((a) => (isStep(a) ? reordered[slot++] : a))
+}
@@ -0,0 +1,151 @@
+/**
+ * Style presets
+ *
+ * A guide carries its own list of style presets (see DEFAULT_PRESETS in
+ * @/lib/annotationStyles) and annotations reference them by id. Preset
+ * sets can be exported to a `.presets.json` file and imported into other
+ * guides, so a team can share one look. Importing replaces the guide's
+ * presets; annotations keep their preset ids, so a shared set restyles
+ * them as long as the ids match.
+ *
+ * Every property is limited to the choices in @/lib/annotationStyles, so
+ * an imported file can't introduce arbitrary colors or sizes.
+ */
+
+import {
+  DASHES,
+  MARKER_SIZES,
+  PALETTE,
+  STROKE_WIDTHS,
+} from '@/lib/annotationStyles'
+
+export const PRESETS_FORMAT = 'doc-image-annotator/presets'
+export const PRESETS_VERSION = 1
+export const PRESETS_FILE_EXTENSION = '.presets.json'
+
+export class PresetFileError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'PresetFileError'
+  }
+}
+
+const COLOR_FIELDS = ['fill', 'stroke', 'textColor']
+
+function isPaletteColor(value) {
+  return typeof value === 'string' && PALETTE.some((color) => color.value === value.toLowerCase())
+}
+
+/**
+ * Checks a list of presets. Throws PresetFileError with a user-facing
+ * message on any problem. Also used for presets stored in project files.
+ */
+export function validatePresets(presets) {
+  if (!Array.isArray(presets) || presets.length === 0) {
+    throw new PresetFileError('The style presets are missing or empty.')
+  }
+
+  const ids = new Set()
+  presets.forEach((preset, index) => {
+    const where = `Style preset ${index + 1}`
+    if (typeof preset !== 'object' || preset === null || typeof preset.id !== 'string' || !preset.id) {
+      throw new PresetFileError(`${where} is malformed.`)
+    }
+    if (ids.has(preset.id)) {
+      throw new PresetFileError(`${where} has a duplicate id "${preset.id}".`)
+    }
+    ids.add(preset.id)
+
+    if (typeof preset.name !== 'string' || !preset.name.trim()) {
+      throw new PresetFileError(`${where} has no name.`)
+    }
+    for (const field of COLOR_FIELDS) {
+      if (!isPaletteColor(preset[field])) {
+        throw new PresetFileError(`${where} ("${preset.name}") has a "${field}" color outside the palette.`)
+      }
+    }
+    if (!STROKE_WIDTHS.includes(preset.strokeWidth)) {
+      throw new PresetFileError(`${where} ("${preset.name}") has an unsupported stroke width.`)
+    }
+    if (!Object.hasOwn(DASHES, preset.dash)) {
+      throw new PresetFileError(`${where} ("${preset.name}") has an unknown line style "${preset.dash}".`)
+    }
+    if (!MARKER_SIZES.some((size) => size.value === preset.markerSize)) {
+      throw new PresetFileError(`${where} ("${preset.name}") has an unsupported marker size.`)
+    }
+  })
+}
+
+// Only the known fields are kept, with colors in the palette's spelling
+function normalizePreset(preset) {
+  return {
+    id: preset.id,
+    name: preset.name.trim(),
+    fill: preset.fill.toLowerCase(),
+    stroke: preset.stroke.toLowerCase(),
+    textColor: preset.textColor.toLowerCase(),
+    strokeWidth: preset.strokeWidth,
+    dash: preset.dash,
+    markerSize: preset.markerSize,
+  }
+}
+
+export function serializePresets(presets) {
+  return JSON.stringify({
+    format: PRESETS_FORMAT,
+    version: PRESETS_VERSION,
+    presets: presets.map(normalizePreset),
+  }, null, 2)
+}
+
+/**
+ * Parses and validates the text of a presets file.
+ * Throws PresetFileError with a user-facing message on any problem.
+ */
+export function parsePresets(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new PresetFileError('The file is not valid JSON.')
+  }
+
+  if (typeof data !== 'object' || data === null || data.format !== PRESETS_FORMAT) {
+    throw new PresetFileError('The file is not a style presets file.')
+  }
+  if (data.version !== PRESETS_VERSION) {
+    throw new PresetFileError(
+      `The presets file has format v${data.version}; this version reads v${PRESETS_VERSION}.`
+    )
+  }
+
+  validatePresets(data.presets)
+  return data.presets.map(normalizePreset)
+}
+
+export async function readPresetsFile(file) {
+  return parsePresets(await file.text())
+}
+
+let presetCounter = 0
+
+export function createPresetId() {
+  presetCounter += 1
+  return `preset-${Date.now()}-${presetCounter}`
+}
+
+/**
+ * A copy of `source` with a fresh id and a name not yet used in `presets`.
+ */
+export function copyPreset(source, presets) {
+  const names = new Set(presets.map((preset) => preset.name))
+  let name = `${source.name} copy`
+  for (let n = 2; names.has(name); n++) {
+    name = `${source.name} copy ${n}`
+  }
+  return { ...source, id: createPresetId(), name }
+}
+
+export function updatePreset(presets, id, changes) {
+  return presets.map((preset) => (preset.id === id ? { ...preset, ...changes } : preset))
+}
@@ -0,0 +1,358 @@
+/**
+ * Project file format (.annot.json)
+ *
+ * A project is a self-contained JSON document holding a guide: its pages,
+ * each with a base image (as a data URL) and its full annotations array,
+ * the numbering settings, the style presets the annotations reference, and
+ * the step legend and spotlight settings, so a guide can be reopened and edited later
+ * without the original screenshots on disk. Annotation coordinates are
+ * image pixels measured from the page image's top-left corner.
+ *
+ * Every file carries a `format` tag and an integer `version`. When the shape
+ * of the document changes, bump PROJECT_VERSION and add a migration keyed by
+ * the version it upgrades *from*. Files from a newer version than this build
+ * understands are rejected rather than guessed at.
+ */
+
+import { ARROW_HEADS, DEFAULT_PRESETS, LABEL_PLACEMENTS, TEXT_ALIGNMENTS } from '@/lib/annotationStyles'
+import { DEFAULT_LEGEND, LEGEND_PLACEMENTS } from '@/lib/legend'
+import { MAGNIFIER_SHAPES, MAGNIFIER_ZOOMS } from '@/lib/magnifier'
+import { DEFAULT_NUMBERING, NUMBERING_SCHEMES } from '@/lib/numbering'
+import { DEFAULT_SPOTLIGHT, isValidSpotlight } from '@/lib/spotlight'
+import { PresetFileError, validatePresets } from '@/lib/presets'
+import { REDACTION_MODES } from '@/lib/redaction'
+
+export const PROJECT_FORMAT = 'doc-image-annotator/project'
+export const PROJECT_VERSION = 8
+export const PROJECT_FILE_EXTENSION = '.annot.json'
+
+export class ProjectFileError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ProjectFileError'
+  }
+}
+
+// version -> function upgrading a document of that version to version + 1
+const MIGRATIONS = {
+  // v1 stored annotation positions in stage pixels, with the image drawn
+  // centered in a stage of `viewport` size. v2 stores image pixels.
+  1: ({ viewport, ...project }) => {
+    const dx = viewport ? (viewport.width - project.image?.width) / 2 : 0
+    const dy = viewport ? (viewport.height - project.image?.height) / 2 : 0
+    return {
+      ...project,
+      version: 2,
+      annotations: Array.isArray(project.annotations)
+        ? project.annotations.map((a) => ({ ...a, x: a.x - dx, y: a.y - dy }))
+        : project.annotations,
+    }
+  },
+  // v2 stored a frozen `number` on each marker. v3 derives numbers from
+  // the marker order plus document-level `numbering` settings, so markers
+  // are put in the order of their old numbers.
+  2: (project) => {
+    if (!Array.isArray(project.annotations)) {
+      return { ...project, version: 3, numbering: DEFAULT_NUMBERING }
+    }
+    const markers = project.annotations
+      .filter((a) => a?.type === 'marker')
+      .sort((a, b) => (a.number ?? 0) - (b.number ?? 0))
+    let slot = 0
+    return {
+      ...project,
+      version: 3,
+      numbering: DEFAULT_NUMBERING,
+      annotations: project.annotations.map((a) => {
+        if (a?.type !== 'marker') return a
+        const marker = { ...markers[slot++] }
+        delete marker.number
+        return marker
+      }),
+    }
+  },
+  // v3 held a single image. v4 holds a guide of one or more pages.
+  3: ({ image, annotations, numbering, ...project }) => ({
+    ...project,
+    version: 4,
+    numbering: isPlainObject(numbering) ? { ...DEFAULT_NUMBERING, ...numbering } : numbering,
+    pages: [{ id: 'page-1', name: 'Page 1', image, annotations }],
+  }),
+  // v4 drew annotations with three built-in styles. v5 stores the guide's
+  // style presets, starting from the built-in ones.
+  4: (project) => ({ ...project, version: 5, presets: DEFAULT_PRESETS }),
+  // v6 adds the step legend, off by default
+  5: (project) => ({ ...project, version: 6, legend: DEFAULT_LEGEND }),
+  // v7 adds the spotlight overlay settings
+  6: (project) => ({ ...project, version: 7, spotlight: DEFAULT_SPOTLIGHT }),
+  // v7 text boxes stored a resized `height`, which scaled the font. v8
+  // text boxes grow with their wrapped lines and store the `fontSize`.
+  7: (project) => ({
+    ...project,
+    version: 8,
+    pages: Array.isArray(project.pages)
+      ? project.pages.map((page) => ({
+        ...page,
+        annotations: Array.isArray(page?.annotations) ? page.annotations.map(migrateTextHeight) : page?.annotations,
+      }))
+      : project.pages,
+  }),
+}
+
+// The v7 text box: 16px text, 36px for one line plus 20px per line break
+function migrateTextHeight(annotation) {
+  if (annotation?.type !== 'text' || !Number.isFinite(annotation.height)) return annotation
+  const lines = String(annotation.text).split('\n').length
+  const migrated = { ...annotation, fontSize: 16 * annotation.height / (36 + (lines - 1) * 20) }
+  delete migrated.height
+  return migrated
+}
+
+function optionIds(options) {
+  return options.map((option) => option.id)
+}
+
+// Required fields per annotation type. Extra fields are passed through.
+// 'point' is an { x, y } object of numbers; an array lists the values a
+// field may take.
+const ANNOTATION_FIELDS = {
+  marker: { x: 'number', y: 'number', label: 'string' },
+  text: { x: 'number', y: 'number', text: 'string' },
+  rect: { x: 'number', y: 'number', width: 'number', height: 'number' },
+  circle: { x: 'number', y: 'number', radius: 'number' },
+  arrow: { x: 'number', y: 'number', end: 'point' },
+  redact: { x: 'number', y: 'number', width: 'number', height: 'number', mode: optionIds(REDACTION_MODES) },
+  magnifier: { x: 'number', y: 'number', width: 'number', height: 'number', target: 'point' },
+}
+
+// Optional fields that must have the right type when present
+const OPTIONAL_FIELDS = {
+  style: 'string',
+  mid: 'point',
+  head: ARROW_HEADS,
+  tail: ARROW_HEADS,
+  leader: 'point',
+  // Marker numbering, see @/lib/numbering
+  pin: 'integer',
+  substep: 'boolean',
+  // Resized and rotated text boxes
+  width: 'number',
+  fontSize: 'number',
+  rotation: 'number',
+  // Text alignment of text boxes and marker labels, and where a marker's
+  // label sits, see @/lib/annotationStyles
+  align: optionIds(TEXT_ALIGNMENTS),
+  labelPlacement: optionIds(LABEL_PLACEMENTS),
+  // Magnifier lens, see @/lib/magnifier
+  zoom: MAGNIFIER_ZOOMS,
+  shape: optionIds(MAGNIFIER_SHAPES),
+  // Outline panel: hidden annotations are left out of exports, locked
+  // ones ignore the pointer on the canvas
+  hidden: 'boolean',
+  locked: 'boolean',
+  // Annotations sharing a group id are selected and moved together
+  group: 'string',
+  // Rectangles and circles cutting a hole into the spotlight overlay
+  spotlight: 'boolean',
+}
+
+function isValidField(value, type) {
+  if (Array.isArray(type)) return type.includes(value)
+  if (type === 'number') return Number.isFinite(value)
+  if (type === 'integer') return Number.isInteger(value)
+  if (type === 'point') return isPlainObject(value) && Number.isFinite(value.x) && Number.isFinite(value.y)
+  return typeof value === type
+}
+
+export function isProjectFile(file) {
+  return file.name.toLowerCase().endsWith(PROJECT_FILE_EXTENSION) ||
+    file.type === 'application/json'
+}
+
+export function createProject({ pages, numbering, presets, legend, spotlight }) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    numbering,
+    presets,
+    legend,
+    spotlight,
+    pages: pages.map(({ id, name, image, annotations, legendPosition }) => ({
+      id,
+      name,
+      image: {
+        src: image.src,
+        width: image.width,
+        height: image.height,
+      },
+      annotations,
+      // Where a floating legend was dragged to on this page
+      legendPosition,
+    })),
+  }
+}
+
+export function serializeProject(state) {
+  return JSON.stringify(createProject(state), null, 2)
+}
+
+/**
+ * Parses, migrates and validates the text of a project file.
+ * Throws ProjectFileError with a user-facing message on any problem.
+ */
+export function parseProject(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new ProjectFileError('The file is not valid JSON.')
+  }
+
+  if (!isPlainObject(data) || data.format !== PROJECT_FORMAT) {
+    throw new ProjectFileError('The file is not a Documentation Image Annotator project.')
+  }
+
+  const project = migrateProject(data)
+  validateProject(project)
+  return project
+}
+
+export async function readProjectFile(file) {
+  return parseProject(await file.text())
+}
+
+function migrateProject(data) {
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new ProjectFileError('The project file has no valid version number.')
+  }
+  if (data.version > PROJECT_VERSION) {
+    throw new ProjectFileError(
+      `The project was saved by a newer version of the annotator (format v${data.version}). ` +
+      `This version can open files up to v${PROJECT_VERSION}.`
+    )
+  }
+
+  let project = data
+  while (project.version < PROJECT_VERSION) {
+    const migrate = MIGRATIONS[project.version]
+    if (!migrate) {
+      throw new ProjectFileError(`Project format v${project.version} is no longer supported.`)
+    }
+    project = migrate(project)
+  }
+  return project
+}
+
+function validateProject(project) {
+  const { pages } = project
+  if (!Array.isArray(pages) || pages.length === 0) {
+    throw new ProjectFileError('The project does not contain any pages.')
+  }
+
+  validateNumbering(project.numbering)
+  if (!isPlainObject(project.legend) || !LEGEND_PLACEMENTS.some((p) => p.id === project.legend.placement)) {
+    throw new ProjectFileError('The step legend settings are missing or malformed.')
+  }
+  if (!isValidSpotlight(project.spotlight)) {
+    throw new ProjectFileError('The spotlight settings are missing or malformed.')
+  }
+  try {
+    validatePresets(project.presets)
+  } catch (error) {
+    if (error instanceof PresetFileError) {
+      throw new ProjectFileError(error.message)
+    }
+    throw error
+  }
+
+  const ids = new Set()
+  pages.forEach((page, index) => {
+    const where = `Page ${index + 1}`
+    if (!isPlainObject(page) || typeof page.id !== 'string' || typeof page.name !== 'string') {
+      throw new ProjectFileError(`${where} is malformed.`)
+    }
+    if (ids.has(page.id)) {
+      throw new ProjectFileError(`${where} has a duplicate id "${page.id}".`)
+    }
+    ids.add(page.id)
+
+    const { image } = page
+    if (!isPlainObject(image) || typeof image.src !== 'string' || !image.src.startsWith('data:image/')) {
+      throw new ProjectFileError(`${where} does not contain an embedded image.`)
+    }
+    if (!isPositiveNumber(image.width) || !isPositiveNumber(image.height)) {
+      throw new ProjectFileError(`${where} has an image with invalid dimensions.`)
+    }
+    const { legendPosition } = page
+    if (legendPosition !== undefined && legendPosition !== null && !isValidField(legendPosition, 'point')) {
+      throw new ProjectFileError(`${where} has an invalid legend position.`)
+    }
+    try {
+      validateAnnotations(page.annotations)
+    } catch (error) {
+      if (error instanceof ProjectFileError) {
+        throw new ProjectFileError(`${where}: ${error.message}`)
+      }
+      throw error
+    }
+  })
+}
+
+function validateNumbering(numbering) {
+  if (!isPlainObject(numbering) || !Number.isInteger(numbering.start)) {
+    throw new ProjectFileError('The marker numbering settings are missing or malformed.')
+  }
+  if (!NUMBERING_SCHEMES.some((s) => s.id === numbering.scheme)) {
+    throw new ProjectFileError(`Unknown marker numbering scheme "${numbering.scheme}".`)
+  }
+  if (typeof numbering.continuous !== 'boolean') {
+    throw new ProjectFileError('The marker numbering settings are missing or malformed.')
+  }
+}
+
+/**
+ * Checks the required fields of every annotation in an array.
+ * Also used for annotations pasted from the clipboard.
+ */
+export function validateAnnotations(annotations) {
+  if (!Array.isArray(annotations)) {
+    throw new ProjectFileError('The annotations are missing or malformed.')
+  }
+
+  const ids = new Set()
+  annotations.forEach((annotation, index) => {
+    const where = `Annotation ${index + 1}`
+    if (!isPlainObject(annotation) || typeof annotation.id !== 'string') {
+      throw new ProjectFileError(`${where} is malformed.`)
+    }
+    if (ids.has(annotation.id)) {
+      throw new ProjectFileError(`${where} has a duplicate id "${annotation.id}".`)
+    }
+    ids.add(annotation.id)
+
+    const fields = ANNOTATION_FIELDS[annotation.type]
+    if (!fields) {
+      throw new ProjectFileError(`${where} has unknown type "${annotation.type}".`)
+    }
+    for (const [field, type] of Object.entries(fields)) {
+      if (!isValidField(annotation[field], type)) {
+        throw new ProjectFileError(`${where} (${annotation.type}) has an invalid "${field}".`)
+      }
+    }
+    for (const [field, type] of Object.entries(OPTIONAL_FIELDS)) {
+      const value = annotation[field]
+      if (value !== undefined && value !== null && !isValidField(value, type)) {
+        throw new ProjectFileError(`${where} (${annotation.type}) has an invalid "${field}".`)
+      }
+    }
+  })
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function isPositiveNumber(value) {
+  return Number.isFinite(value) && value > 0
+}
@@ -0,0 +1,106 @@
+/**
+ * Redaction
+ *
+ * Redactions are not drawn on top of the screenshot. They are baked into a
+ * copy of the base image: the pixels inside each region are replaced, and
+ * that copy is what the canvas displays and every export renders from. The
+ * original pixels under a redaction therefore never reach an exported file.
+ *
+ * The baked copy is always re-encoded from a canvas, which also drops any
+ * metadata (EXIF, GPS, color profiles, comments) carried by the source file.
+ * Project files still embed the original image so redactions stay editable.
+ */
+
+export const REDACTION_MODES = [
+  { id: 'blur', label: 'Blur' },
+  { id: 'pixelate', label: 'Pixelate' },
+  { id: 'solid', label: 'Solid' },
+]
+
+export const DEFAULT_REDACTION_MODE = 'blur'
+
+export const REDACTION = {
+  // Edge length of one pixelation block, in image pixels
+  blockSize: 12,
+  // Blur downsamples by this factor and scales back up, twice
+  blurFactor: 10,
+  solidColor: '#111827',
+}
+
+export function isRedaction(annotation) {
+  return annotation.type === 'redact'
+}
+
+// Region clamped to the image and snapped outward to whole pixels, so no
+// partially covered edge pixel keeps its original value
+function clampRegion(region, width, height) {
+  const x = Math.max(0, Math.floor(region.x))
+  const y = Math.max(0, Math.floor(region.y))
+  const right = Math.min(width, Math.ceil(region.x + region.width))
+  const bottom = Math.min(height, Math.ceil(region.y + region.height))
+  if (right <= x || bottom <= y) return null
+  return { x, y, width: right - x, height: bottom - y }
+}
+
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+// Draws `source` through a `factor` times smaller canvas and back
+function resample(source, region, factor, smooth) {
+  const small = createCanvas(
+    Math.max(1, Math.round(region.width / factor)),
+    Math.max(1, Math.round(region.height / factor))
+  )
+  const ctx = small.getContext('2d')
+  ctx.imageSmoothingEnabled = smooth
+  ctx.drawImage(source, region.x, region.y, region.width, region.height, 0, 0, small.width, small.height)
+  return small
+}
+
+function replaceRegion(ctx, region, source, smooth) {
+  ctx.save()
+  ctx.clearRect(region.x, region.y, region.width, region.height)
+  ctx.imageSmoothingEnabled = smooth
+  ctx.drawImage(source, 0, 0, source.width, source.height, region.x, region.y, region.width, region.height)
+  ctx.restore()
+}
+
+function applyRedaction(canvas, ctx, region, mode) {
+  if (mode === 'pixelate') {
+    replaceRegion(ctx, region, resample(canvas, region, REDACTION.blockSize, true), false)
+  } else if (mode === 'blur') {
+    // A second pass smooths out the blockiness of the first; neither
+    // keeps more than one sample per `blurFactor` pixels of the original
+    const once = resample(canvas, region, REDACTION.blurFactor, true)
+    const twice = resample(once, { x: 0, y: 0, width: once.width, height: once.height }, 2, true)
+    replaceRegion(ctx, region, twice, true)
+  } else {
+    // Unknown modes fall back to the strongest redaction
+    ctx.fillStyle = REDACTION.solidColor
+    ctx.fillRect(region.x, region.y, region.width, region.height)
+  }
+}
+
+/**
+ * Returns a canvas holding `img` with every redaction annotation applied.
+ * The canvas is a fresh copy even when there are no redactions, so callers
+ * can always treat it as metadata-free.
+ */
+export function renderRedactedImage(img, annotations) {
+  const width = img.naturalWidth || img.width
+  const height = img.naturalHeight || img.height
+  const canvas = createCanvas(width, height)
+  const ctx = canvas.getContext('2d')
+  ctx.drawImage(img, 0, 0, width, height)
+
+  for (const annotation of annotations) {
+    if (!isRedaction(annotation)) continue
+    const region = clampRegion(annotation, width, height)
+    if (region) applyRedaction(canvas, ctx, region, annotation.mode)
+  }
+  return canvas
+}
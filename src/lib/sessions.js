@@ -0,0 +1,259 @@
+/**
+ * Autosaved sessions
+ *
+ * The open guide is saved to IndexedDB after every change, so a crashed
+ * or closed tab can be restored. localStorage is too small for embedded
+ * screenshots. Each session is stored as the text of a project file (see
+ * @/lib/project), so restoring it goes through the same migrations and
+ * validation as opening a file.
+ *
+ * Three object stores keep listing and saving cheap: `sessions` holds the
+ * metadata and a small thumbnail shown in the recent list, `projects` the
+ * project text without the page images, and `images` the image data URL of
+ * each page, keyed by session and page id. An image is only written again
+ * when its page gets a new one (e.g. a crop), so an edit doesn't rewrite
+ * megabytes of screenshots. Only the most recent RECENT_SESSION_LIMIT
+ * sessions are kept.
+ */
+
+import { loadImageElement } from '@/lib/image'
+import { createProject, parseProject } from '@/lib/project'
+
+const DB_NAME = 'doc-image-annotator'
+const DB_VERSION = 2
+const SESSIONS = 'sessions'
+const PROJECTS = 'projects'
+const IMAGES = 'images'
+
+export const RECENT_SESSION_LIMIT = 8
+
+// Thumbnail width in pixels, for the recent list
+const THUMBNAIL_WIDTH = 240
+
+export class SessionStorageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'SessionStorageError'
+  }
+}
+
+let sessionCounter = 0
+
+export function createSessionId() {
+  sessionCounter += 1
+  return `session-${Date.now()}-${sessionCounter}`
+}
+
+// Quota errors get a message that tells the user what to do about them
+function storageError(error) {
+  if (error?.name === 'QuotaExceededError') {
+    return new SessionStorageError(
+      'The browser has run out of storage space for autosave. ' +
+      'Save the project to a file, and delete old sessions from the recent list.'
+    )
+  }
+  return new SessionStorageError(error?.message || 'The browser storage is unavailable.')
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(storageError(tx.error))
+    tx.onabort = () => reject(storageError(tx.error))
+  })
+}
+
+let dbPromise = null
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new SessionStorageError('This browser does not support IndexedDB.'))
+        return
+      }
+      const req = window.indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = (event) => {
+        const db = req.result
+        if (event.oldVersion < 1) {
+          db.createObjectStore(SESSIONS, { keyPath: 'id' })
+          db.createObjectStore(PROJECTS)
+        }
+        // Sessions saved before keep their images in the project text
+        if (event.oldVersion < 2) db.createObjectStore(IMAGES)
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(storageError(req.error))
+    })
+    // Let a later call try again
+    dbPromise.catch(() => {
+      dbPromise = null
+    })
+  }
+  return dbPromise
+}
+
+function imageKey(sessionId, pageId) {
+  return `${sessionId}/${pageId}`
+}
+
+// Every image key of a session
+function sessionImages(sessionId) {
+  return IDBKeyRange.bound(`${sessionId}/`, `${sessionId}/\uffff`)
+}
+
+// Data URL last stored under each image key, so unchanged pages are skipped
+const storedImages = new Map()
+
+function forgetImages(sessionId) {
+  for (const key of storedImages.keys()) {
+    if (key.startsWith(`${sessionId}/`)) storedImages.delete(key)
+  }
+}
+
+// Reuses the thumbnail while the first page stays the same
+let lastThumbnail = { src: null, promise: null }
+
+function createThumbnail(image) {
+  if (lastThumbnail.src !== image.src) {
+    lastThumbnail = {
+      src: image.src,
+      promise: loadImageElement(image.src).then((img) => {
+        const scale = Math.min(1, THUMBNAIL_WIDTH / img.naturalWidth)
+        const canvas = document.createElement('canvas')
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale))
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale))
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height)
+        return canvas.toDataURL('image/jpeg', 0.7)
+      }),
+    }
+    // A failed decode is tried again on the next save
+    const failed = lastThumbnail
+    failed.promise.catch(() => {
+      if (lastThumbnail === failed) lastThumbnail = { src: null, promise: null }
+    })
+  }
+  return lastThumbnail.promise
+}
+
+/**
+ * Saves a guide ({ pages, numbering, presets, legend, spotlight }) as session `id`, replacing
+ * the previous save of that session, and drops sessions beyond the limit.
+ * Rejects with SessionStorageError, e.g. when the quota is exhausted.
+ */
+export async function saveSession(id, guide) {
+  const db = await openDatabase()
+  const thumbnail = await createThumbnail(guide.pages[0].image)
+  const session = {
+    id,
+    title: guide.pages[0].name,
+    pageCount: guide.pages.length,
+    updatedAt: Date.now(),
+    thumbnail,
+  }
+
+  const project = createProject(guide)
+  const images = new Map(project.pages.map((page) => [imageKey(id, page.id), page.image.src]))
+  const changed = [...images].filter(([key, src]) => storedImages.get(key) !== src)
+
+  const tx = db.transaction([SESSIONS, PROJECTS, IMAGES], 'readwrite')
+  const done = transactionDone(tx)
+  tx.objectStore(SESSIONS).put(session)
+  // Compact, unlike a downloaded project file: nobody reads it
+  tx.objectStore(PROJECTS).put(JSON.stringify({
+    ...project,
+    pages: project.pages.map((page) => ({ ...page, image: { ...page.image, src: undefined } })),
+  }), id)
+  for (const [key, src] of changed) {
+    tx.objectStore(IMAGES).put(src, key)
+  }
+
+  // A failure here aborts the transaction, which `done` reports
+  request(tx.objectStore(IMAGES).getAllKeys(sessionImages(id))).then((keys) => {
+    keys
+      .filter((key) => !images.has(key))
+      .forEach((key) => tx.objectStore(IMAGES).delete(key))
+  }, () => {})
+  request(tx.objectStore(SESSIONS).getAll()).then((sessions) => {
+    sessions
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(RECENT_SESSION_LIMIT)
+      .forEach((old) => {
+        tx.objectStore(SESSIONS).delete(old.id)
+        tx.objectStore(PROJECTS).delete(old.id)
+        tx.objectStore(IMAGES).delete(sessionImages(old.id))
+        forgetImages(old.id)
+      })
+  }, () => {})
+  await done
+  forgetImages(id)
+  images.forEach((src, key) => storedImages.set(key, src))
+}
+
+/**
+ * Saved sessions, most recent first: { id, title, pageCount, updatedAt,
+ * thumbnail }.
+ */
+export async function listSessions() {
+  const db = await openDatabase()
+  const tx = db.transaction(SESSIONS, 'readonly')
+  const sessions = await request(tx.objectStore(SESSIONS).getAll())
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+/**
+ * The project saved for a session, parsed like a project file. Throws
+ * ProjectFileError if it can't be read.
+ */
+export async function loadSession(id) {
+  const db = await openDatabase()
+  const tx = db.transaction([PROJECTS, IMAGES], 'readonly')
+  const text = await request(tx.objectStore(PROJECTS).get(id))
+  if (typeof text !== 'string') {
+    throw new SessionStorageError('The saved session is no longer available.')
+  }
+
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    // Reported like any other unreadable project
+    return parseProject(text)
+  }
+  // Images kept in the project text were saved before the images store
+  // existed; they are moved there on the next save
+  const stored = new Map()
+  if (Array.isArray(data?.pages)) {
+    // All requests at once, so the transaction stays open for them
+    await Promise.all(data.pages.map(async (page) => {
+      if (!page?.image || page.image.src) return
+      const key = imageKey(id, page.id)
+      const src = await request(tx.objectStore(IMAGES).get(key))
+      if (typeof src !== 'string') return
+      page.image.src = src
+      stored.set(key, src)
+    }))
+  }
+  const project = parseProject(JSON.stringify(data))
+  forgetImages(id)
+  stored.forEach((src, key) => storedImages.set(key, src))
+  return project
+}
+
+export async function deleteSession(id) {
+  const db = await openDatabase()
+  const tx = db.transaction([SESSIONS, PROJECTS, IMAGES], 'readwrite')
+  const done = transactionDone(tx)
+  tx.objectStore(SESSIONS).delete(id)
+  tx.objectStore(PROJECTS).delete(id)
+  tx.objectStore(IMAGES).delete(sessionImages(id))
+  await done
+  forgetImages(id)
+}
@@ -0,0 +1,211 @@
+/**
+ * Snapping, alignment and distribution
+ *
+ * Annotations are lined up by their bounding boxes in image pixels: the
+ * circle of a marker (not its label), a text box before rotation, the
+ * region of a magnifier (not its lens), the points of an arrow. While an
+ * annotation is dragged or a shape is drawn, its edges and centers snap to
+ * the edges and centers of the other annotations and of the image, and
+ * optionally to a grid. Snap distances are in screen pixels, so snapping
+ * feels the same at any zoom.
+ */
+
+import { markerRadius, textBoxLayout } from '@/lib/annotationStyles'
+import { moveAnnotation } from '@/lib/annotations'
+
+export const SNAP = {
+  // How close, in screen pixels, an edge has to come to snap
+  distance: 6,
+  guideColor: '#ec4899',
+  gridColor: 'rgba(100,116,139,0.25)',
+}
+
+export const GRID_SIZES = [10, 20, 50]
+
+// Not part of the document: a per-session preference, like the zoom
+export const DEFAULT_SNAPPING = { objects: true, grid: false, gridSize: 20 }
+
+/**
+ * Bounding box `{ x, y, width, height }` of an annotation in image
+ * pixels. `glyphScale` is the editor's enlargement of markers and text
+ * boxes (1 in exports).
+ */
+export function annotationBounds(annotation, style, glyphScale = 1) {
+  switch (annotation.type) {
+    case 'marker': {
+      const radius = markerRadius(style) * glyphScale
+      return { x: annotation.x - radius, y: annotation.y - radius, width: radius * 2, height: radius * 2 }
+    }
+    case 'text': {
+      const { width, height } = textBoxLayout(annotation)
+      return { x: annotation.x, y: annotation.y, width: width * glyphScale, height: height * glyphScale }
+    }
+    case 'circle':
+      return {
+        x: annotation.x - annotation.radius,
+        y: annotation.y - annotation.radius,
+        width: annotation.radius * 2,
+        height: annotation.radius * 2,
+      }
+    case 'arrow': {
+      const points = [{ x: 0, y: 0 }, annotation.end, annotation.mid].filter(Boolean)
+      const xs = points.map((p) => annotation.x + p.x)
+      const ys = points.map((p) => annotation.y + p.y)
+      const x = Math.min(...xs)
+      const y = Math.min(...ys)
+      return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y }
+    }
+    default:
+      return { x: annotation.x, y: annotation.y, width: annotation.width, height: annotation.height }
+  }
+}
+
+// Left, center and right (or top, middle and bottom) of a box
+function stops(box, axis) {
+  const start = axis === 'x' ? box.x : box.y
+  const size = axis === 'x' ? box.width : box.height
+  return [start, start + size / 2, start + size]
+}
+
+/**
+ * Ids of the visible, unlocked annotations whose boxes overlap `box`, as
+ * picked by a marquee drag.
+ */
+export function annotationsInBox(annotations, box, boundsOf) {
+  return annotations
+    .filter((a) => !a.hidden && !a.locked)
+    .filter((a) => {
+      const b = boundsOf(a)
+      return b.x <= box.x + box.width && b.x + b.width >= box.x &&
+        b.y <= box.y + box.height && b.y + b.height >= box.y
+    })
+    .map((a) => a.id)
+}
+
+/**
+ * Lines to snap to, `{ x: [...], y: [...] }`: the image's edges and
+ * center, and those of every visible annotation in `annotations`. `boundsOf`
+ * gives an annotation's box.
+ */
+export function snapLines(annotations, imageSize, boundsOf) {
+  const boxes = [
+    { x: 0, y: 0, width: imageSize.width, height: imageSize.height },
+    ...annotations.filter((a) => !a.hidden).map(boundsOf),
+  ]
+  return {
+    x: boxes.flatMap((box) => stops(box, 'x')),
+    y: boxes.flatMap((box) => stops(box, 'y')),
+  }
+}
+
+// Smallest correction bringing one of `values` onto a line or the grid,
+// with the line it snapped to (none for the grid, which is drawn anyway)
+function snapAxis(values, lines, threshold, gridSize) {
+  let best = null
+  for (const value of values) {
+    for (const line of lines) {
+      const delta = line - value
+      if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+        best = { delta, line }
+      }
+    }
+    if (gridSize) {
+      const delta = Math.round(value / gridSize) * gridSize - value
+      if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+        best = { delta, line: null }
+      }
+    }
+  }
+  return best
+}
+
+/**
+ * How far to move `box` so its edges or center land on `lines` or the
+ * grid (`gridSize`, or null without one), within `threshold` image
+ * pixels: `{ dx, dy, guides }`, where each guide is `{ axis, value }` of
+ * a line snapped to.
+ */
+export function snapBox(box, lines, threshold, gridSize) {
+  const x = snapAxis(stops(box, 'x'), lines.x, threshold, gridSize)
+  const y = snapAxis(stops(box, 'y'), lines.y, threshold, gridSize)
+  const guides = []
+  if (x && x.line !== null) guides.push({ axis: 'x', value: x.line })
+  if (y && y.line !== null) guides.push({ axis: 'y', value: y.line })
+  return { dx: x?.delta ?? 0, dy: y?.delta ?? 0, guides }
+}
+
+/**
+ * `point` snapped onto `lines` or the grid, as for snapBox:
+ * `{ point, guides }`.
+ */
+export function snapPoint(point, lines, threshold, gridSize) {
+  const { dx, dy, guides } = snapBox({ ...point, width: 0, height: 0 }, lines, threshold, gridSize)
+  return { point: { x: point.x + dx, y: point.y + dy }, guides }
+}
+
+export const ALIGNMENTS = [
+  { id: 'left', label: 'Align left', axis: 'x', at: 0 },
+  { id: 'center', label: 'Align centers horizontally', axis: 'x', at: 0.5 },
+  { id: 'right', label: 'Align right', axis: 'x', at: 1 },
+  { id: 'top', label: 'Align top', axis: 'y', at: 0 },
+  { id: 'middle', label: 'Align centers vertically', axis: 'y', at: 0.5 },
+  { id: 'bottom', label: 'Align bottom', axis: 'y', at: 1 },
+]
+
+// Position along `axis` of the point `at` (0 start, 1 end) of a box
+function along(box, axis, at) {
+  return axis === 'x' ? box.x + box.width * at : box.y + box.height * at
+}
+
+function moveAlong(annotation, axis, delta) {
+  return axis === 'x' ? moveAnnotation(annotation, delta, 0) : moveAnnotation(annotation, 0, delta)
+}
+
+/**
+ * Lines up the annotations `ids` on the edge or center `alignment` (see
+ * ALIGNMENTS) of their combined bounding box. Locked annotations stay
+ * where they are and are left out.
+ */
+export function alignAnnotations(annotations, ids, alignment, boundsOf) {
+  const { axis, at } = ALIGNMENTS.find((a) => a.id === alignment)
+  const moving = annotations.filter((a) => ids.includes(a.id) && !a.locked)
+  if (moving.length < 2) return annotations
+
+  const boxes = new Map(moving.map((a) => [a.id, boundsOf(a)]))
+  const start = Math.min(...[...boxes.values()].map((box) => along(box, axis, 0)))
+  const end = Math.max(...[...boxes.values()].map((box) => along(box, axis, 1)))
+  const target = start + (end - start) * at
+
+  return annotations.map((a) => {
+    const box = boxes.get(a.id)
+    return box ? moveAlong(a, axis, target - along(box, axis, at)) : a
+  })
+}
+
+/**
+ * Spaces the annotations `ids` evenly along `axis` ('x' or 'y'): the
+ * outermost two stay put and the gaps between neighbouring boxes become
+ * equal. Locked annotations are left out.
+ */
+export function distributeAnnotations(annotations, ids, axis, boundsOf) {
+  const moving = annotations
+    .filter((a) => ids.includes(a.id) && !a.locked)
+    .map((a) => ({ annotation: a, box: boundsOf(a) }))
+    .sort((a, b) => along(a.box, axis, 0.5) - along(b.box, axis, 0.5))
+  if (moving.length < 3) return annotations
+
+  const size = (box) => along(box, axis, 1) - along(box, axis, 0)
+  const first = moving[0].box
+  const last = moving[moving.length - 1].box
+  const span = along(last, axis, 1) - along(first, axis, 0)
+  const total = moving.reduce((sum, { box }) => sum + size(box), 0)
+  const gap = (span - total) / (moving.length - 1)
+
+  const deltas = new Map()
+  let position = along(first, axis, 0)
+  for (const { annotation, box } of moving) {
+    deltas.set(annotation.id, position - along(box, axis, 0))
+    position += size(box) + gap
+  }
+  return annotations.map((a) => (deltas.has(a.id) ? moveAlong(a, axis, deltas.get(a.id)) : a))
+}
@@ -0,0 +1,196 @@
+/**
+ * Docs snippets
+ *
+ * Markdown or HTML to paste into documentation next to an exported image:
+ * the image with generated alt text, the labeled markers as an ordered
+ * list of steps (sub-steps nested under their step) and the text
+ * annotations as a list of notes. Hidden annotations are left out, as
+ * they are from the image.
+ *
+ * The image path comes from a template, so the snippet points wherever
+ * the docs keep their images. Exported images are named by
+ * @/lib/guide's pageFilename, which `{file}` expands to.
+ */
+
+import { pageFilename } from '@/lib/guide'
+import { markerSteps } from '@/lib/numbering'
+
+export const SNIPPET_SYNTAXES = [
+  { id: 'markdown', label: 'Markdown' },
+  { id: 'html', label: 'HTML' },
+]
+
+// Placeholders of the image path template
+export const PATH_PLACEHOLDERS = [
+  { token: '{file}', description: 'exported filename, e.g. 01-login.png' },
+  { token: '{name}', description: 'filename without extension' },
+  { token: '{page}', description: 'page number' },
+  { token: '{ext}', description: 'file extension' },
+]
+
+export const DEFAULT_SNIPPET_OPTIONS = {
+  syntax: 'markdown',
+  pathTemplate: 'images/{file}',
+  // Snippet for every page of a guide, with the images in a ZIP
+  allPages: false,
+}
+
+// <ol type> of each numbering scheme (see @/lib/numbering)
+const LIST_TYPES = {
+  decimal: '1',
+  'upper-alpha': 'A',
+  'lower-alpha': 'a',
+  'upper-roman': 'I',
+  'lower-roman': 'i',
+}
+
+/**
+ * Path of a page's image from `template`, e.g. images/{file} ->
+ * images/01-login.png.
+ */
+export function imagePath(template, page, index, pageCount, extension) {
+  const file = pageFilename(page, index, pageCount, extension)
+  const values = {
+    file,
+    name: file.slice(0, -(extension.length + 1)),
+    page: String(index + 1),
+    ext: extension,
+  }
+  return template.replace(/\{(\w+)\}/g, (token, key) => values[key] ?? token)
+}
+
+function countOf(count, singular, plural) {
+  return `${count} ${count === 1 ? singular : plural}`
+}
+
+// "a, b and c"
+function joinList(items) {
+  if (items.length <= 1) return items.join('')
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+}
+
+/**
+ * Alt text summarizing what is marked on a page, e.g. "Login screenshot
+ * with 3 numbered steps, 1 highlighted area and 1 note".
+ */
+export function altText(pageName, annotations) {
+  const visible = annotations.filter((a) => !a.hidden)
+  const count = (...types) => visible.filter((a) => types.includes(a.type)).length
+  const parts = [
+    [count('marker'), 'numbered step', 'numbered steps'],
+    [count('rect', 'circle'), 'highlighted area', 'highlighted areas'],
+    [count('arrow'), 'arrow', 'arrows'],
+    [count('magnifier'), 'magnified detail', 'magnified details'],
+    [count('text'), 'note', 'notes'],
+    [count('redact'), 'redacted area', 'redacted areas'],
+  ]
+    .filter(([n]) => n > 0)
+    .map(([n, singular, plural]) => countOf(n, singular, plural))
+
+  const subject = `${pageName} screenshot`
+  return parts.length ? `${subject} with ${joinList(parts)}` : subject
+}
+
+/**
+ * Labeled steps of a page as a tree: `{ value, label, substeps }`, with
+ * the labels of sub-steps under the step before them.
+ */
+function stepTree(annotations, numbering) {
+  const items = []
+  for (const { marker, value } of markerSteps(annotations, numbering)) {
+    // A list item holds one line
+    const label = marker.label.replace(/\s+/g, ' ').trim()
+    if (!label) continue
+    const parent = items[items.length - 1]
+    if (marker.substep && parent) {
+      parent.substeps.push(label)
+    } else {
+      items.push({ value, label, substeps: [] })
+    }
+  }
+  return items
+}
+
+function noteTexts(annotations) {
+  return annotations
+    .filter((a) => a.type === 'text' && !a.hidden)
+    .map((a) => a.text.split('\n').map((line) => line.trim()).filter(Boolean).join(' '))
+    .filter(Boolean)
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>]/g, '\\$&')
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// CommonMark takes the list's start from its first item; later numbers
+// are renumbered, and letter or roman schemes come out as digits
+function markdownPage({ alt, path, steps, notes }) {
+  const blocks = [`![${alt.replace(/[\\[\]]/g, '\\$&')}](${encodeURI(path)})`]
+  if (steps.length) {
+    blocks.push(steps.map((step) => {
+      // Nested items line up with their step's text
+      const indent = ' '.repeat(String(step.value).length + 2)
+      return [
+        `${step.value}. ${escapeMarkdown(step.label)}`,
+        ...step.substeps.map((label, i) => `${indent}${i + 1}. ${escapeMarkdown(label)}`),
+      ].join('\n')
+    }).join('\n'))
+  }
+  if (notes.length) {
+    blocks.push(notes.map((note) => `- ${escapeMarkdown(note)}`).join('\n'))
+  }
+  return blocks.join('\n\n')
+}
+
+function htmlPage({ alt, path, steps, notes, numbering }) {
+  const lines = ['<figure>', `  <img src="${escapeHtml(encodeURI(path))}" alt="${escapeHtml(alt)}">`]
+  if (steps.length || notes.length) {
+    lines.push('  <figcaption>')
+    if (steps.length) {
+      lines.push(`    <ol type="${LIST_TYPES[numbering.scheme] || '1'}">`)
+      for (const step of steps) {
+        const item = `      <li value="${step.value}">${escapeHtml(step.label)}`
+        if (step.substeps.length === 0) {
+          lines.push(`${item}</li>`)
+          continue
+        }
+        lines.push(item, '        <ol>')
+        step.substeps.forEach((label) => lines.push(`          <li>${escapeHtml(label)}</li>`))
+        lines.push('        </ol>', '      </li>')
+      }
+      lines.push('    </ol>')
+    }
+    if (notes.length) {
+      lines.push('    <ul>')
+      notes.forEach((note) => lines.push(`      <li>${escapeHtml(note)}</li>`))
+      lines.push('    </ul>')
+    }
+    lines.push('  </figcaption>')
+  }
+  lines.push('</figure>')
+  return lines.join('\n')
+}
+
+/**
+ * The snippet for `entries` ({ page, index, numbering }, in guide order)
+ * of a guide with `pageCount` pages whose images are exported as
+ * `extension` files.
+ */
+export function buildSnippet(entries, pageCount, extension, options = DEFAULT_SNIPPET_OPTIONS) {
+  const render = options.syntax === 'html' ? htmlPage : markdownPage
+  return entries.map(({ page, index, numbering }) => render({
+    alt: altText(page.name, page.annotations),
+    path: imagePath(options.pathTemplate, page, index, pageCount, extension),
+    steps: stepTree(page.annotations, numbering),
+    notes: noteTexts(page.annotations),
+    numbering,
+  })).join('\n\n') + '\n'
+}
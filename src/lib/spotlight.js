@@ -0,0 +1,82 @@
+/**
+ * Spotlight
+ *
+ * Rectangles and circles can be marked as spotlights (`spotlight: true`).
+ * Together they cut holes into one dark overlay over the rest of the
+ * image, drawn by the canvas and the SVG exporter above the image and
+ * below every annotation. How dark the overlay is and how soft the edges
+ * of the holes are apply to the whole guide (`document.spotlight`).
+ *
+ * A feather of `f` pixels is a Gaussian blur with a standard deviation of
+ * f / 2, which is what canvas shadowBlur and SVG feGaussianBlur both draw.
+ */
+
+export const SPOTLIGHT_TYPES = ['rect', 'circle']
+
+export const DEFAULT_SPOTLIGHT = { opacity: 0.6, feather: 12 }
+
+export const SPOTLIGHT_LIMITS = {
+  opacity: { min: 0.1, max: 0.9, step: 0.05 },
+  feather: { min: 0, max: 64, step: 1 },
+}
+
+export const SPOTLIGHT_COLOR = '#000000'
+
+// Off-canvas distance the holes are drawn at, so only their shadows,
+// pulled back into place, land on the overlay
+const SHADOW_OFFSET = 100000
+
+export function supportsSpotlight(annotation) {
+  return SPOTLIGHT_TYPES.includes(annotation.type)
+}
+
+/** The visible annotations that cut holes into the overlay. */
+export function spotlightRegions(annotations) {
+  return annotations.filter((a) => a.spotlight && !a.hidden && supportsSpotlight(a))
+}
+
+export function isValidSpotlight(settings) {
+  return typeof settings === 'object' && settings !== null &&
+    Object.entries(SPOTLIGHT_LIMITS).every(([field, { min, max }]) => (
+      Number.isFinite(settings[field]) && settings[field] >= min && settings[field] <= max
+    ))
+}
+
+function tracePath(ctx, region, dx) {
+  ctx.beginPath()
+  if (region.type === 'circle') {
+    ctx.arc(region.x + dx, region.y, region.radius, 0, Math.PI * 2)
+  } else {
+    ctx.rect(region.x + dx, region.y, region.width, region.height)
+  }
+}
+
+/**
+ * The overlay for `regions` as a canvas of `imageSize`, or null without
+ * any region.
+ */
+export function renderSpotlight(imageSize, regions, settings) {
+  if (regions.length === 0) return null
+  const canvas = document.createElement('canvas')
+  canvas.width = imageSize.width
+  canvas.height = imageSize.height
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = SPOTLIGHT_COLOR
+  ctx.globalAlpha = settings.opacity
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+
+  ctx.globalAlpha = 1
+  ctx.globalCompositeOperation = 'destination-out'
+  for (const region of regions) {
+    if (settings.feather > 0) {
+      ctx.shadowColor = SPOTLIGHT_COLOR
+      ctx.shadowBlur = settings.feather
+      ctx.shadowOffsetX = SHADOW_OFFSET
+      tracePath(ctx, region, -SHADOW_OFFSET)
+    } else {
+      tracePath(ctx, region, 0)
+    }
+    ctx.fill()
+  }
+  return canvas
+}
@@ -0,0 +1,442 @@
+import { downloadBlob } from '@/lib/download'
+import { measureExport } from '@/lib/export'
+import { arrowGeometry, leaderStart } from '@/lib/arrows'
+import { markerNumbers } from '@/lib/numbering'
+import { LEGEND, legendLayout, outputSize } from '@/lib/legend'
+import { MAGNIFIER, lensLayout, magnifierConnector } from '@/lib/magnifier'
+import { SPOTLIGHT_COLOR, spotlightRegions } from '@/lib/spotlight'
+import {
+  ARROW,
+  FONT_FAMILY,
+  LEADER,
+  MARKER,
+  MARKER_LABEL,
+  TEXT_ALIGNMENTS,
+  TEXT_BOX,
+  dashFor,
+  markerFontSize,
+  markerLabelLayout,
+  markerRadius,
+  styleFor,
+  textBoxLayout,
+} from '@/lib/annotationStyles'
+
+/**
+ * SVG export
+ *
+ * Writes the base image as an embedded <image> and every annotation as
+ * native SVG shapes and <text>, so markers stay sharp at any size and
+ * labels remain selectable and indexable. Geometry and colors come from
+ * the same definitions and style presets the canvas uses; Konva drop shadows are
+ * approximated with feDropShadow filters. Magnifier lenses reuse the
+ * embedded image through <use>, scaled and clipped to the lens. The
+ * spotlight overlay is a dark rect masked by its blurred holes.
+ *
+ * Links are written as SVG 1.1 `xlink:href`, which tools that predate
+ * SVG 2 (e.g. Inkscape before 1.0) need and current ones still read. The
+ * embedded image has no SVG 2 `href` next to it, which would store the
+ * whole data URL twice.
+ */
+
+const SHADOW_FILTERS = {
+  'marker-shadow': MARKER.shadow,
+  'box-shadow': MARKER_LABEL.shadow,
+  'arrow-shadow': ARROW.shadow,
+  'legend-shadow': LEGEND.shadow,
+  'lens-shadow': MAGNIFIER.shadow,
+}
+
+// Id of the embedded base image, referenced by magnifier lenses
+const BASE_IMAGE_ID = 'base-image'
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// Serializes an attribute object, skipping undefined values
+function attrs(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+    .join(' ')
+}
+
+// Konva colors like rgba(255,255,255,0.95) are valid SVG paint as well
+function shadowFilter(id, shadow) {
+  // Konva's shadowBlur is roughly twice a Gaussian standard deviation
+  return `<filter ${attrs({ id, x: '-20%', y: '-20%', width: '140%', height: '140%' })}>` +
+    `<feDropShadow ${attrs({
+      dx: shadow.offsetX,
+      dy: shadow.offsetY,
+      stdDeviation: shadow.blur / 2,
+      'flood-color': shadow.color,
+    })}/></filter>`
+}
+
+// Multi-line text is split into tspans centered on `y`
+function textElement(text, { x, y, fontSize, fill, bold, anchor = 'start', lineHeight = 0 }) {
+  const lines = String(text).split('\n')
+  const content = lines.length === 1
+    ? escapeXml(text)
+    : lines.map((line, i) => `<tspan ${attrs({
+      x,
+      y: y + (i - (lines.length - 1) / 2) * lineHeight,
+    })}>${escapeXml(line)}</tspan>`).join('')
+
+  return `<text ${attrs({
+    x,
+    y,
+    'font-family': `${FONT_FAMILY}, sans-serif`,
+    'font-size': fontSize,
+    'font-weight': bold ? 'bold' : undefined,
+    fill,
+    'text-anchor': anchor,
+    'dominant-baseline': 'central',
+  })}>${content}</text>`
+}
+
+// Wrapped lines of a label or text box `layout` inside a box of its
+// width and height, aligned like Konva aligns them
+function boxTextElement(layout, fill) {
+  const x = { left: layout.padding, center: layout.width / 2, right: layout.width - layout.padding }
+  return textElement(layout.lines.join('\n'), {
+    x: x[layout.align] ?? layout.padding,
+    y: layout.height / 2,
+    fontSize: layout.fontSize,
+    fill,
+    anchor: TEXT_ALIGNMENTS.find((a) => a.id === layout.align)?.anchor,
+    lineHeight: layout.lineHeight,
+  })
+}
+
+// Dash arrays become stroke-dasharray; solid lines get none
+function dashAttr(style) {
+  const dash = dashFor(style)
+  return dash.length ? dash.join(' ') : undefined
+}
+
+function markerElement(annotation, style, number) {
+  const radius = markerRadius(style)
+  const parts = [
+    `<circle ${attrs({
+      r: radius,
+      fill: style.fill,
+      stroke: style.stroke,
+      'stroke-width': MARKER.strokeWidth,
+      filter: 'url(#marker-shadow)',
+    })}/>`,
+    textElement(number, {
+      x: 0,
+      y: 0,
+      fontSize: markerFontSize(number, radius),
+      fill: style.textColor,
+      bold: true,
+      anchor: 'middle',
+    }),
+  ]
+
+  if (annotation.label) {
+    const label = markerLabelLayout(annotation, style)
+    parts.push(
+      `<g transform="translate(${label.x} ${label.y})">` +
+      `<rect ${attrs({
+        width: label.width,
+        height: label.height,
+        rx: MARKER_LABEL.cornerRadius,
+        fill: MARKER_LABEL.fill,
+        stroke: style.stroke,
+        'stroke-width': MARKER_LABEL.strokeWidth,
+        filter: 'url(#box-shadow)',
+      })}/>` +
+      boxTextElement(label, MARKER_LABEL.textColor) +
+      '</g>'
+    )
+  }
+
+  return `<g transform="translate(${annotation.x} ${annotation.y})">${parts.join('')}</g>`
+}
+
+function textAnnotationElement(annotation, style) {
+  const layout = textBoxLayout(annotation)
+  const { width, height } = layout
+  const transform = annotation.rotation
+    ? `translate(${annotation.x} ${annotation.y}) rotate(${annotation.rotation})`
+    : `translate(${annotation.x} ${annotation.y})`
+
+  return `<g transform="${transform}">` +
+    `<rect ${attrs({
+      width,
+      height,
+      rx: TEXT_BOX.cornerRadius,
+      fill: style.fill,
+      stroke: style.stroke,
+      'stroke-width': style.strokeWidth,
+      'stroke-dasharray': dashAttr(style),
+      filter: 'url(#box-shadow)',
+    })}/>` +
+    boxTextElement(layout, style.textColor) +
+    '</g>'
+}
+
+function shapeOutline(style) {
+  return {
+    fill: 'none',
+    stroke: style.stroke,
+    'stroke-width': style.strokeWidth,
+    'stroke-dasharray': dashAttr(style),
+  }
+}
+
+function arrowHeadElement(shape, color, strokeWidth) {
+  if (!shape) return ''
+  if (shape.kind === 'dot') {
+    return `<circle ${attrs({ cx: shape.center.x, cy: shape.center.y, r: shape.radius, fill: color })}/>`
+  }
+  const points = shape.points.map((p) => `${p.x},${p.y}`).join(' ')
+  if (shape.kind === 'open') {
+    return `<polyline ${attrs({
+      points,
+      fill: 'none',
+      stroke: color,
+      'stroke-width': strokeWidth,
+      'stroke-linecap': 'round',
+      'stroke-linejoin': 'round',
+    })}/>`
+  }
+  return `<polygon ${attrs({ points, fill: color, stroke: color, 'stroke-width': 1, 'stroke-linejoin': 'round' })}/>`
+}
+
+function arrowElement(annotation, style) {
+  const color = style.fill
+  const { start, control, end, head, tail } = arrowGeometry(annotation)
+  const d = control
+    ? `M ${start.x} ${start.y} Q ${control.x} ${control.y} ${end.x} ${end.y}`
+    : `M ${start.x} ${start.y} L ${end.x} ${end.y}`
+
+  return `<g ${attrs({ transform: `translate(${annotation.x} ${annotation.y})`, filter: 'url(#arrow-shadow)' })}>` +
+    `<path ${attrs({
+      d,
+      fill: 'none',
+      stroke: color,
+      'stroke-width': style.strokeWidth,
+      'stroke-dasharray': dashAttr(style),
+      'stroke-linecap': 'round',
+    })}/>` +
+    arrowHeadElement(tail, color, style.strokeWidth) +
+    arrowHeadElement(head, color, style.strokeWidth) +
+    '</g>'
+}
+
+function leaderElement(annotation, style) {
+  const target = annotation.leader
+  const start = leaderStart(annotation, style)
+  const color = style.stroke
+
+  const line = start
+    ? `<line ${attrs({
+      x1: start.x,
+      y1: start.y,
+      x2: target.x,
+      y2: target.y,
+      stroke: color,
+      'stroke-width': LEADER.strokeWidth,
+      'stroke-linecap': 'round',
+    })}/>`
+    : ''
+  return line + `<circle ${attrs({ cx: target.x, cy: target.y, r: LEADER.targetRadius, fill: color })}/>`
+}
+
+function magnifierElement(annotation, style) {
+  const lens = lensLayout(annotation)
+  const connector = magnifierConnector(annotation)
+  const clipId = `lens-${annotation.id}`
+  const lensBox = { x: lens.x, y: lens.y, width: lens.width, height: lens.height, rx: lens.cornerRadius }
+
+  return [
+    connector && `<line ${attrs({
+      x1: connector.start.x,
+      y1: connector.start.y,
+      x2: connector.end.x,
+      y2: connector.end.y,
+      stroke: style.stroke,
+      'stroke-width': MAGNIFIER.connectorWidth,
+      'stroke-linecap': 'round',
+    })}/>`,
+    `<rect ${attrs({
+      x: annotation.x,
+      y: annotation.y,
+      width: annotation.width,
+      height: annotation.height,
+      ...shapeOutline(style),
+    })}/>`,
+    // The shadow is drawn by a filled copy of the lens underneath, since
+    // a filter on the clipped group would be clipped too
+    `<rect ${attrs({ ...lensBox, fill: '#ffffff', filter: 'url(#lens-shadow)' })}/>`,
+    `<clipPath ${attrs({ id: clipId })}><rect ${attrs(lensBox)}/></clipPath>`,
+    `<g ${attrs({ 'clip-path': `url(#${clipId})` })}>` +
+    `<use ${attrs({
+      href: `#${BASE_IMAGE_ID}`,
+      'xlink:href': `#${BASE_IMAGE_ID}`,
+      transform: `translate(${lens.imageX} ${lens.imageY}) scale(${lens.zoom})`,
+    })}/></g>`,
+    `<rect ${attrs({ ...lensBox, fill: 'none', stroke: style.stroke, 'stroke-width': style.strokeWidth })}/>`,
+  ].filter(Boolean).join('')
+}
+
+function legendElement(layout) {
+  const radius = LEGEND.markerRadius
+  const lineHeight = LEGEND.fontSize * LEGEND.lineHeight
+  const rows = layout.rows.map((row) => (
+    `<circle ${attrs({
+      cx: row.x + radius,
+      cy: row.markerY,
+      r: radius,
+      fill: row.style.fill,
+      stroke: row.style.stroke,
+      'stroke-width': LEGEND.markerStrokeWidth,
+    })}/>` +
+    textElement(row.number, {
+      x: row.x + radius,
+      y: row.markerY,
+      fontSize: markerFontSize(row.number, radius),
+      fill: row.style.textColor,
+      bold: true,
+      anchor: 'middle',
+    }) +
+    textElement(row.lines.join('\n'), {
+      x: row.textX,
+      y: row.textY + (row.lines.length * lineHeight) / 2,
+      fontSize: LEGEND.fontSize,
+      fill: LEGEND.textColor,
+      lineHeight,
+    })
+  ))
+
+  return `<g transform="translate(${layout.x} ${layout.y})">` +
+    `<rect ${attrs({
+      width: layout.width,
+      height: layout.height,
+      rx: LEGEND.cornerRadius,
+      fill: LEGEND.fill,
+      stroke: LEGEND.stroke,
+      'stroke-width': LEGEND.strokeWidth,
+      filter: 'url(#legend-shadow)',
+    })}/>` +
+    rows.join('') +
+    '</g>'
+}
+
+// The spotlight overlay over the image, with holes where the canvas cuts
+// them; the mask is white (overlay) except for the blurred black holes
+function spotlightElement(regions, settings, image) {
+  const area = { x: 0, y: 0, width: image.width, height: image.height }
+  const holes = regions.map((region) => (region.type === 'circle'
+    ? `<circle ${attrs({ cx: region.x, cy: region.y, r: region.radius })}/>`
+    : `<rect ${attrs({ x: region.x, y: region.y, width: region.width, height: region.height })}/>`
+  )).join('')
+
+  return [
+    settings.feather > 0 &&
+      `<filter ${attrs({ id: 'spotlight-feather', filterUnits: 'userSpaceOnUse', ...area })}>` +
+      `<feGaussianBlur ${attrs({ stdDeviation: settings.feather / 2 })}/></filter>`,
+    `<mask ${attrs({ id: 'spotlight-mask', maskUnits: 'userSpaceOnUse', ...area })}>` +
+    `<rect ${attrs({ ...area, fill: '#ffffff' })}/>` +
+    `<g ${attrs({ fill: '#000000', filter: settings.feather > 0 ? 'url(#spotlight-feather)' : undefined })}>${holes}</g>` +
+    '</mask>',
+    `<rect ${attrs({
+      ...area,
+      fill: SPOTLIGHT_COLOR,
+      'fill-opacity': settings.opacity,
+      mask: 'url(#spotlight-mask)',
+    })}/>`,
+  ].filter(Boolean).join('')
+}
+
+function annotationElement(annotation, numbers, presets) {
+  const style = styleFor(annotation, presets)
+  // Leader lines sit under their annotation, as on the canvas
+  const leader = annotation.leader ? leaderElement(annotation, style) : ''
+  return leader + shapeElement(annotation, style, numbers)
+}
+
+function shapeElement(annotation, style, numbers) {
+  switch (annotation.type) {
+    case 'marker':
+      return markerElement(annotation, style, numbers.get(annotation.id))
+    case 'text':
+      return textAnnotationElement(annotation, style)
+    case 'rect':
+      return `<rect ${attrs({
+        x: annotation.x,
+        y: annotation.y,
+        width: annotation.width,
+        height: annotation.height,
+        ...shapeOutline(style),
+      })}/>`
+    case 'circle':
+      return `<circle ${attrs({
+        cx: annotation.x,
+        cy: annotation.y,
+        r: annotation.radius,
+        ...shapeOutline(style),
+      })}/>`
+    case 'arrow':
+      return arrowElement(annotation, style)
+    case 'magnifier':
+      return magnifierElement(annotation, style)
+    default:
+      return ''
+  }
+}
+
+/**
+ * Builds the SVG document for an image and its annotations, drawn with the
+ * guide's style `presets`, using the same bounds and size options as the
+ * raster export. `image.src` is embedded
+ * as-is, so pass the redacted base image (see @/lib/redaction), not the
+ * source file. Redaction and hidden annotations produce no elements.
+ * `legend` is `{ placement, position }` of the step legend (see
+ * @/lib/legend), if any, and `spotlight` the overlay settings (see
+ * @/lib/spotlight).
+ */
+export function buildSvg({ image, annotations, numbering, presets, legend, spotlight, contentRect, options }) {
+  const legendBox = legendLayout({
+    annotations,
+    numbering,
+    presets,
+    imageSize: image,
+    placement: legend?.placement,
+    position: legend?.position,
+  })
+  const { bounds, width, height } = measureExport(outputSize(image, legendBox), contentRect, options)
+  const numbers = markerNumbers(annotations, numbering)
+  const viewBox = [bounds.x, bounds.y, bounds.width, bounds.height].join(' ')
+
+  const spotlights = spotlight ? spotlightRegions(annotations) : []
+
+  const background = options.background === 'opaque'
+    ? `<rect ${attrs({ ...bounds, fill: options.backgroundColor })}/>`
+    : ''
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ${attrs({ width, height, viewBox })}>`,
+    `<defs>${Object.entries(SHADOW_FILTERS).map(([id, shadow]) => shadowFilter(id, shadow)).join('')}</defs>`,
+    background,
+    `<image ${attrs({ id: BASE_IMAGE_ID, 'xlink:href': image.src, x: 0, y: 0, width: image.width, height: image.height })}/>`,
+    spotlights.length > 0 && spotlightElement(spotlights, spotlight, image),
+    ...annotations
+      .filter((annotation) => !annotation.hidden)
+      .map((annotation) => annotationElement(annotation, numbers, presets)),
+    legendBox && legendElement(legendBox),
+    '</svg>',
+  ].filter(Boolean).join('\n')
+}
+
+export function exportSVG(filename, document) {
+  downloadBlob(new Blob([buildSvg(document)], { type: 'image/svg+xml' }), filename)
+}
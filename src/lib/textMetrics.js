@@ -0,0 +1,98 @@
+/**
+ * Text measurement and wrapping
+ *
+ * Marker labels, text boxes and the step legend are sized from the widths
+ * the browser measures for their font, so wide glyphs and CJK text fit
+ * their boxes. Lines are wrapped here, once, and drawn line by line by the
+ * canvas and the SVG exporter, so both break text in the same places.
+ * Without a canvas (e.g. outside the browser) widths are estimated.
+ *
+ * A font is `{ family, size, bold }`.
+ */
+
+// Estimated glyph width as a multiple of the font size
+const FALLBACK_CHAR_WIDTH = 0.6
+// Measured widths kept before the cache starts over
+const CACHE_LIMIT = 2000
+
+// Break opportunities: after a run of spaces, and around every CJK
+// character, which may be broken anywhere
+const CJK = '\\u2E80-\\u9FFF\\uAC00-\\uD7AF\\uF900-\\uFAFF\\uFF00-\\uFFEF'
+const TOKENS = new RegExp(`[${CJK}]\\s*|[^\\s${CJK}]+\\s*|\\s+`, 'g')
+
+let context
+const widths = new Map()
+
+function measureContext() {
+  if (context === undefined) {
+    context = typeof document === 'undefined' ? null : document.createElement('canvas').getContext('2d')
+  }
+  return context
+}
+
+// The CSS font shorthand Konva builds for the same settings
+export function cssFont({ family, size, bold }) {
+  return `${bold ? 'bold ' : ''}${size}px ${family}`
+}
+
+export function measureText(text, font) {
+  const ctx = measureContext()
+  if (!ctx) return [...text].length * font.size * FALLBACK_CHAR_WIDTH
+
+  const key = `${cssFont(font)}|${text}`
+  let width = widths.get(key)
+  if (width === undefined) {
+    if (widths.size >= CACHE_LIMIT) widths.clear()
+    ctx.font = cssFont(font)
+    width = ctx.measureText(text).width
+    widths.set(key, width)
+  }
+  return width
+}
+
+// Number of leading `chars` that fit in `maxWidth`, at least one
+function fittingLength(chars, maxWidth, font) {
+  let length = 1
+  while (length < chars.length && measureText(chars.slice(0, length + 1).join(''), font) <= maxWidth) {
+    length += 1
+  }
+  return length
+}
+
+function wrapParagraph(paragraph, maxWidth, font) {
+  const lines = []
+  let line = ''
+  for (const token of paragraph.match(TOKENS) || []) {
+    const candidate = line + token
+    if (line && measureText(candidate.trimEnd(), font) > maxWidth) {
+      lines.push(line.trimEnd())
+      line = token
+    } else {
+      line = candidate
+    }
+    // A word longer than a whole line is broken between characters
+    let chars = [...line.trimEnd()]
+    while (chars.length > 1 && measureText(chars.join(''), font) > maxWidth) {
+      const length = fittingLength(chars, maxWidth, font)
+      lines.push(chars.slice(0, length).join(''))
+      chars = chars.slice(length)
+      line = chars.join('') + line.slice(line.trimEnd().length)
+    }
+  }
+  lines.push(line.trimEnd())
+  return lines
+}
+
+/**
+ * Splits `text` into lines no wider than `maxWidth` pixels in `font`:
+ * at every line break in the text, between words, and inside words that
+ * don't fit on a line of their own. Blank lines are kept.
+ */
+export function wrapText(text, maxWidth, font) {
+  return String(text).split('\n').flatMap((paragraph) => wrapParagraph(paragraph, maxWidth, font))
+}
+
+/** Width of the widest of `lines`. */
+export function linesWidth(lines, font) {
+  return Math.max(0, ...lines.map((line) => measureText(line, font)))
+}
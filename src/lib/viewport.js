@@ -0,0 +1,77 @@
+/**
+ * Canvas view transform helpers
+ *
+ * Annotations are stored in image pixels with the image's top-left corner
+ * at (0, 0). The view is the stage transform mapping image pixels to screen
+ * pixels: screen = image * scale + (x, y).
+ */
+
+export const MIN_ZOOM = 0.05
+export const MAX_ZOOM = 8
+
+// Space kept around the image by the "fit" preset, in screen pixels
+const FIT_MARGIN = 24
+
+// Below this zoom, markers and labels are drawn larger than their true
+// size in the editor so they stay readable. Exports always use true size.
+const MIN_GLYPH_ZOOM = 0.5
+
+export const VIEW_PRESETS = [
+  { mode: 'fit', label: 'Fit' },
+  { mode: 'actual', label: '100%' },
+  { mode: 'fill', label: 'Fill' },
+]
+
+export function clampZoom(scale) {
+  return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale))
+}
+
+/**
+ * View for a preset, centering the image in the container.
+ * `fit` shows the whole image without upscaling small ones, `fill` covers
+ * the container, `actual` is 100%.
+ */
+export function presetView(mode, container, image) {
+  if (!image) return { scale: 1, x: 0, y: 0 }
+
+  let scale = 1
+  if (mode === 'fit') {
+    scale = Math.min(
+      (container.width - FIT_MARGIN * 2) / image.width,
+      (container.height - FIT_MARGIN * 2) / image.height,
+      1
+    )
+  } else if (mode === 'fill') {
+    scale = Math.max(container.width / image.width, container.height / image.height)
+  }
+  scale = clampZoom(scale)
+
+  return {
+    scale,
+    x: (container.width - image.width * scale) / 2,
+    y: (container.height - image.height * scale) / 2,
+  }
+}
+
+/**
+ * Zooms by `factor` keeping the image point under `point` (screen
+ * coordinates) fixed.
+ */
+export function zoomAt(view, point, factor) {
+  const scale = clampZoom(view.scale * factor)
+  const imageX = (point.x - view.x) / view.scale
+  const imageY = (point.y - view.y) / view.scale
+  return {
+    scale,
+    x: point.x - imageX * scale,
+    y: point.y - imageY * scale,
+  }
+}
+
+/**
+ * Scale applied to marker and label glyphs so they never shrink below
+ * MIN_GLYPH_ZOOM of their true size on screen.
+ */
+export function glyphScaleFor(zoom) {
+  return Math.max(1, MIN_GLYPH_ZOOM / zoom)
+}
@@ -0,0 +1,79 @@
+/**
+ * Minimal ZIP writer
+ *
+ * Just enough of the ZIP format to bundle exported pages into one
+ * download: files are stored uncompressed, which costs nothing for PNG,
+ * JPEG and WebP since they are compressed already. Filenames are written
+ * as UTF-8.
+ */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date and time fields used by ZIP headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  }
+}
+
+function header(size, fields) {
+  const view = new DataView(new ArrayBuffer(size))
+  let offset = 0
+  for (const [bytes, value] of fields) {
+    if (bytes === 4) view.setUint32(offset, value, true)
+    else view.setUint16(offset, value, true)
+    offset += bytes
+  }
+  return new Uint8Array(view.buffer)
+}
+
+/**
+ * Bundles `files` ({ name, blob }) into a ZIP archive Blob, in order.
+ */
+export async function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder()
+  const { time, date: day } = dosDateTime(date)
+  const parts = []
+  const directory = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const data = new Uint8Array(await file.blob.arrayBuffer())
+    const crc = crc32(data)
+    // Bit 11: filename is UTF-8
+    const common = [
+      [2, 20], [2, 0x0800], [2, 0], [2, time], [2, day],
+      [4, crc], [4, data.length], [4, data.length], [2, name.length], [2, 0],
+    ]
+
+    parts.push(header(30, [[4, 0x04034b50], ...common]), name, data)
+    directory.push(header(46, [
+      [4, 0x02014b50], [2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset],
+    ]), name)
+    offset += 30 + name.length + data.length
+  }
+
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0)
+  const end = header(22, [
+    [4, 0x06054b50], [2, 0], [2, 0], [2, files.length], [2, files.length],
+    [4, directorySize], [4, offset], [2, 0],
+  ])
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' })
+}